@@ -1,19 +1,55 @@
 // Omok2025 스타일 오목 AI 알고리즘
 // Minimax + Alpha-Beta Pruning + Pattern Recognition
+// 반복 심화: 깊이 1부터 maxDepth까지 timeLimit 안에서 늘려 가며, 앞 깊이의 점수순으로 루트 후보를 다시 읽음
+
+// Node에서는 <script> 태그 대신 require로 필요한 모듈을 불러온다
+if (typeof module !== 'undefined' && module.exports) {
+    if (typeof OmokRules === 'undefined') globalThis.OmokRules = require('./omok_rules.js');
+    if (typeof OmokOpening === 'undefined') globalThis.OmokOpening = require('./omok_opening.js');
+    if (typeof OmokBoard === 'undefined') globalThis.OmokBoard = require('./omok_board.js');
+    if (typeof OmokTranspositionTable === 'undefined') globalThis.OmokTranspositionTable = require('./omok_transposition.js');
+    if (typeof OmokClock === 'undefined') globalThis.OmokClock = require('./omok_clock.js');
+}
 
 class Omok2025 {
-    constructor(boardSize = 15) {
+    // 엔진 레지스트리 정보 (omok_engines.js)
+    static ENGINE = {
+        id: "2025",
+        name: "Omok 2025",
+        version: "1.2",
+        options: {
+            timeLimit: { type: "integer", label: "수당 시간(ms)", default: 3000, min: 100, max: 60000, step: 100 },
+            maxDepth: { type: "integer", label: "최대 탐색 깊이", default: 3, min: 1, max: 10 },
+            width: { type: "integer", label: "루트 후보수", default: 12, min: 1, max: 100 },
+            nodeWidth: { type: "integer", label: "내부 노드 후보수 (0이면 전부)", default: 0, min: 0, max: 100 },
+            book: { type: "boolean", label: "오프닝 북 사용", default: true },
+            symmetry: { type: "boolean", label: "대칭 국면 치환표 공유", default: false }
+        }
+    };
+
+    constructor(boardSize = 15, options = {}) {
         this.size = boardSize;
-        this.TT = new Map(); // Transposition Table
+        this.ruleSet = options.ruleSet || "renju";
+        this.rules = new OmokRules(boardSize, this.ruleSet); // 룰셋별 승리/금수 판정
+        // Transposition Table - 평가 창(evaluateStone의 -2..4)이 좌우 비대칭이라 대칭 국면의 점수가 달라
+        // 표준형 키 공유는 옵션으로만 (켜면 회전하거나 뒤집은 국면이 같은 항목을 씀)
+        this.TT = new OmokTranspositionTable(options.ttBits, options.symmetry ?? false);
+        this.timeLimit = options.timeLimit || 3000; // 수당 시간(ms) - 반복 심화는 이 안에서 깊이를 늘림
+        this.maxDepth = options.maxDepth || 3; // 최대 탐색 깊이 (루트의 수 포함 - 3이면 내 수, 상대 수, 내 수)
+        this.width = options.width || 12; // 루트에서 읽는 정적 평가 상위 후보 수
+        this.nodeWidth = options.nodeWidth || 0; // 루트 아래 노드에서 읽는 정적 평가 상위 후보 수 (0이면 전부)
+        this.deadline = Infinity; // 진행 중인 탐색의 시간 제한 (Date.now() 값)
+        this.aborted = false; // 시간이 다 되거나 stop() - 끝나지 않은 노드의 결과는 버림
+        this.nodeCount = 0; // 마지막 탐색의 노드 수
+        this.onProgress = null; // 탐색 진행 상황 콜백 (워커에서 사용)
+        this.stopRequested = false; // stop() 호출 - 진행 중인 탐색은 지금까지의 결과로 끝냄
+        this.stopCheck = null; // 탐색 중에 부르는 함수 (워커에서 사용) - true를 돌려주면 stop()
+        this.useBook = options.book ?? true; // 오프닝 북에 있는 국면이면 탐색 없이 북의 수
+        this.openingBook = options.openingBook || null; // OmokBook (omok_book.js)
         this.open4Patterns = ["OOOO_", "_OOOO", "OO_OO", "O_OOO", "OOO_O"];
         this.open3Patterns = ["_OOO_", "OO_O_", "_OO_O", "O_OO_", "_O_OO"];
     }
 
-    // 보드 상태 해시
-    boardHash(board) {
-        return board.flat().join('');
-    }
-
     // 평가 함수
     evaluate(board, player) {
         let score = 0;
@@ -24,108 +60,160 @@ class Omok2025 {
                 if (board[y][x] !== player) continue;
 
                 for (const [dx, dy] of dirs) {
-                    let line = "";
-                    for (let k = -2; k <= 4; k++) {
-                        let nx = x + k*dx, ny = y + k*dy;
-                        if (nx < 0 || ny < 0 || nx >= this.size || ny >= this.size) {
-                            line += "X";
-                        } else if (board[ny][nx] === player) {
-                            line += "O";
-                        } else if (board[ny][nx] === 0) {
-                            line += "_";
-                        } else {
-                            line += "X";
-                        }
-                    }
-
-                    // 점수 부여
-                    if (line.includes("OOOOO")) {
-                        score += 900001; // 즉시 승리
-                    }
-                    else if (this.open4Patterns.some(p => line.includes(p))) {
-                        score += (player === 2 ? 9001 : 90001); // 열린4
-                    }
-                    else if (this.open3Patterns.some(p => line.includes(p))) {
-                        score += (player === 2 ? 91 : 901); // 열린3
-                    }
-                    else {
-                        // count+openEnds 방식으로 닫힌3, 2목 처리
-                        let count = 1, openEnds = 0;
-                        let nx = x + dx, ny = y + dy;
-                        while (nx >= 0 && ny >= 0 && nx < this.size && ny < this.size && board[ny][nx] === player) {
-                            count++; nx += dx; ny += dy;
-                        }
-                        if (nx >= 0 && ny >= 0 && nx < this.size && ny < this.size && board[ny][nx] === 0) openEnds++;
-                        nx = x - dx; ny = y - dy;
-                        while (nx >= 0 && ny >= 0 && nx < this.size && ny < this.size && board[ny][nx] === player) {
-                            count++; nx -= dx; ny -= dy;
-                        }
-                        if (nx >= 0 && ny >= 0 && nx < this.size && ny < this.size && board[ny][nx] === 0) openEnds++;
-
-                        // 대각선 보너스 (dx와 dy가 모두 0이 아닌 경우)
-                        const isDiagonal = (dx !== 0 && dy !== 0);
-                        const diagonalBonus = isDiagonal ? 1 : 0;
-
-                        if (count === 3 && openEnds === 1) {
-                            score += (player === 2 ? 11 : 15) + diagonalBonus; // 닫힌3
-                        }
-                        else if (count === 2 && openEnds === 2) {
-                            score += (player === 2 ? 3 : 5) + diagonalBonus; // 열린2
-                        }
-                        else if (count === 2 && openEnds === 1) {
-                            score += (player === 2 ? 1 : 2) + diagonalBonus; // 닫힌2
-                        }
-                    }
+                    score += this.evaluateStone(board, x, y, dx, dy, player);
                 }
             }
         }
         return score;
     }
 
+    // 돌 하나의 한 방향 점수 (evaluate와 증분 평가 판 OmokBoard가 함께 사용)
+    evaluateStone(board, x, y, dx, dy, player) {
+        let line = "";
+        for (let k = -2; k <= 4; k++) {
+            let nx = x + k*dx, ny = y + k*dy;
+            if (nx < 0 || ny < 0 || nx >= this.size || ny >= this.size) {
+                line += "X";
+            } else if (board[ny][nx] === player) {
+                line += "O";
+            } else if (board[ny][nx] === 0) {
+                line += "_";
+            } else {
+                line += "X";
+            }
+        }
+
+        // 점수 부여 - 5목은 룰셋이 승리로 인정할 때만 (장목, 카로의 양끝 막힘은 룰 판정에 맡김)
+        if (line.includes("OOOOO") && this.rules.isWinningLine(board, x, y, dx, dy, player)) {
+            return 900001; // 즉시 승리
+        }
+        if (this.open4Patterns.some(p => line.includes(p))) {
+            return player === 2 ? 9001 : 90001; // 열린4
+        }
+        if (this.open3Patterns.some(p => line.includes(p))) {
+            return player === 2 ? 91 : 901; // 열린3
+        }
+
+        // count+openEnds 방식으로 닫힌3, 2목 처리
+        let count = 1, openEnds = 0;
+        let nx = x + dx, ny = y + dy;
+        while (nx >= 0 && ny >= 0 && nx < this.size && ny < this.size && board[ny][nx] === player) {
+            count++; nx += dx; ny += dy;
+        }
+        if (nx >= 0 && ny >= 0 && nx < this.size && ny < this.size && board[ny][nx] === 0) openEnds++;
+        nx = x - dx; ny = y - dy;
+        while (nx >= 0 && ny >= 0 && nx < this.size && ny < this.size && board[ny][nx] === player) {
+            count++; nx -= dx; ny -= dy;
+        }
+        if (nx >= 0 && ny >= 0 && nx < this.size && ny < this.size && board[ny][nx] === 0) openEnds++;
+
+        // 대각선 보너스 (dx와 dy가 모두 0이 아닌 경우)
+        const isDiagonal = (dx !== 0 && dy !== 0);
+        const diagonalBonus = isDiagonal ? 1 : 0;
+
+        if (count === 3 && openEnds === 1) {
+            return (player === 2 ? 11 : 15) + diagonalBonus; // 닫힌3
+        }
+        if (count === 2 && openEnds === 2) {
+            return (player === 2 ? 3 : 5) + diagonalBonus; // 열린2
+        }
+        if (count === 2 && openEnds === 1) {
+            return (player === 2 ? 1 : 2) + diagonalBonus; // 닫힌2
+        }
+        return 0;
+    }
+
+    // 탐색용 증분 평가 판 - 착수/무르기 때 바뀐 줄만 다시 평가
+    createPosition(board) {
+        return new OmokBoard(board, {
+            evaluateStone: (b, x, y, dx, dy, player) => this.evaluateStone(b, x, y, dx, dy, player)
+        });
+    }
+
     evaluateBoard(board, player = 2) {
         const opponent = 3 - player;
         return this.evaluate(board, player) - this.evaluate(board, opponent);
     }
 
-    // Minimax with Alpha-Beta Pruning
-    minimax(board, depth, alpha, beta, maximizingPlayer, aiPlayer = 2) {
-        const hash = this.boardHash(board) + depth + maximizingPlayer;
-        if (this.TT.has(hash)) return this.TT.get(hash);
+    // Minimax with Alpha-Beta Pruning - position은 createPosition으로 만든 증분 평가 판
+    // 결과: { score, pv } - pv는 예상 수순 [{ x, y, player }, ...] (시간이 다 되면 aborted를 세우고 의미 없는 값)
+    minimax(position, depth, alpha, beta, maximizingPlayer, aiPlayer = 2) {
+        if ((++this.nodeCount & 255) === 0 && (this.checkStop() || Date.now() > this.deadline)) this.aborted = true;
+        if (this.aborted) return { score: 0, pv: [] };
+
+        const board = position.board;
+        // 점수는 aiPlayer 기준이라 AI 색과 둘 차례를 키에 함께 넣음
+        const variant = (aiPlayer - 1) * 2 + (maximizingPlayer ? 1 : 0);
+        const entry = this.TT.probe(position, variant);
+        if (OmokTranspositionTable.usable(entry, depth, alpha, beta)) {
+            return { score: entry.value, pv: entry.pv };
+        }
+        const alphaOrig = alpha;
+        const betaOrig = beta;
 
         if (depth === 0) {
-            const val = this.evaluateBoard(board, aiPlayer);
-            this.TT.set(hash, val);
-            return val;
+            const score = position.balance(aiPlayer);
+            this.TT.store(position, variant, { depth, flag: OmokTranspositionTable.EXACT, value: score });
+            return { score, pv: [] };
         }
 
         let bestScore = maximizingPlayer ? -Infinity : Infinity;
-        const moves = this.getCandidateMoves(board);
+        let bestMove = null;
+        let bestPv = [];
+        const player = maximizingPlayer ? aiPlayer : (3 - aiPlayer);
+        let moves = this.getCandidateMoves(board, player);
+        if (this.nodeWidth > 0 && moves.length > this.nodeWidth) {
+            moves = this.orderMoves(position, moves, player).slice(0, this.nodeWidth);
+        }
+        // 이전에 찾은 최선수를 먼저 읽음
+        OmokTranspositionTable.promote(moves, entry && entry.move);
 
         for (const [x, y] of moves) {
-            board[y][x] = maximizingPlayer ? aiPlayer : (3 - aiPlayer);
-            const score = this.minimax(board, depth - 1, alpha, beta, !maximizingPlayer, aiPlayer);
-            board[y][x] = 0;
+            position.place(x, y, player);
+            const { score, pv } = this.minimax(position, depth - 1, alpha, beta, !maximizingPlayer, aiPlayer);
+            position.undo();
+            if (this.aborted) return { score: 0, pv: [] }; // 끝나지 않은 탐색은 치환표에 넣지 않음
 
+            if (maximizingPlayer ? score > bestScore : score < bestScore) {
+                bestScore = score;
+                bestMove = { x, y };
+                bestPv = [{ x, y, player }, ...pv];
+            }
             if (maximizingPlayer) {
-                bestScore = Math.max(bestScore, score);
                 alpha = Math.max(alpha, score);
             } else {
-                bestScore = Math.min(bestScore, score);
                 beta = Math.min(beta, score);
             }
             if (beta <= alpha) break;
         }
 
-        this.TT.set(hash, bestScore);
-        return bestScore;
+        this.TT.store(position, variant, {
+            depth,
+            flag: OmokTranspositionTable.flagFor(bestScore, alphaOrig, betaOrig),
+            value: bestScore,
+            move: bestMove,
+            pv: bestPv
+        });
+        return { score: bestScore, pv: bestPv };
     }
 
-    // 후보수 찾기
-    getCandidateMoves(board) {
+    // 후보수를 둔 뒤의 정적 평가(player 기준)가 높은 순으로 정렬
+    orderMoves(position, moves, player) {
+        return moves.map(([x, y]) => {
+            position.place(x, y, player);
+            const score = position.balance(player);
+            position.undo();
+            return { move: [x, y], score };
+        }).sort((a, b) => b.score - a.score).map(m => m.move);
+    }
+
+    // 후보수 찾기 (player를 주면 그 플레이어의 금수는 제외)
+    getCandidateMoves(board, player = 0) {
         let moves = [];
         for (let y = 0; y < this.size; y++) {
             for (let x = 0; x < this.size; x++) {
                 if (board[y][x] === 0 && this.hasNeighbor(board, x, y)) {
+                    if (player && this.rules.isForbidden(board, x, y, player)) continue;
                     moves.push([x, y]);
                 }
             }
@@ -144,20 +232,7 @@ class Omok2025 {
 
     // 승리 체크
     checkWin(board, x, y, player) {
-        const directions = [[1,0],[0,1],[1,1],[1,-1]];
-        for (const [dx, dy] of directions) {
-            let count = 1;
-            let nx = x + dx, ny = y + dy;
-            while (nx >= 0 && ny >= 0 && nx < this.size && ny < this.size && board[ny][nx] === player) {
-                count++; nx += dx; ny += dy;
-            }
-            nx = x - dx; ny = y - dy;
-            while (nx >= 0 && ny >= 0 && nx < this.size && ny < this.size && board[ny][nx] === player) {
-                count++; nx -= dx; ny -= dy;
-            }
-            if (count >= 5) return true;
-        }
-        return false;
+        return this.rules.checkWin(board, x, y, player);
     }
 
     // 즉시 이길 수 있는 수 찾기
@@ -185,7 +260,10 @@ class Omok2025 {
             board[y][x] = opponent; // 상대방이 여기 둔다면
             if (this.checkWin(board, x, y, opponent)) {
                 board[y][x] = 0;
-                return { x, y }; // 5목은 반드시 즉시 막아야 함
+                // 금수 자리는 막을 수 없으므로 건너뜀
+                if (!this.rules.isForbidden(board, x, y, player)) {
+                    return { x, y }; // 5목은 반드시 즉시 막아야 함
+                }
             }
             board[y][x] = 0;
         }
@@ -221,7 +299,8 @@ class Omok2025 {
                                     const k = idx + i - 4;
                                     const blockX = x + k * dx;
                                     const blockY = y + k * dy;
-                                    if (blockX >= 0 && blockY >= 0 && blockX < this.size && blockY < this.size && board[blockY][blockX] === 0) {
+                                    if (blockX >= 0 && blockY >= 0 && blockX < this.size && blockY < this.size && board[blockY][blockX] === 0 &&
+                                        !this.rules.isForbidden(board, blockX, blockY, player)) {
                                         open4Blocks.add(`${blockX},${blockY}`);
                                     }
                                 }
@@ -288,7 +367,8 @@ class Omok2025 {
                                     const k = idx + i - 3;
                                     const blockX = x + k * dx;
                                     const blockY = y + k * dy;
-                                    if (blockX >= 0 && blockY >= 0 && blockX < this.size && blockY < this.size && board[blockY][blockX] === 0) {
+                                    if (blockX >= 0 && blockY >= 0 && blockX < this.size && blockY < this.size && board[blockY][blockX] === 0 &&
+                                        !this.rules.isForbidden(board, blockX, blockY, player)) {
                                         open3Blocks.push({ x: blockX, y: blockY });
                                     }
                                 }
@@ -372,15 +452,30 @@ class Omok2025 {
             else if (opponentCount >= 1 && emptyCount >= 3) score += 20;
         }
 
-        // 중앙 근처 선호
-        const centerDist = Math.abs(x - 7) + Math.abs(y - 7);
-        score += (14 - centerDist);
+        // 중앙 근처 선호 (판 크기에 맞춘 중앙 기준)
+        const center = Math.floor(this.size / 2);
+        const centerDist = Math.abs(x - center) + Math.abs(y - center);
+        score += (2 * center - centerDist);
 
         return score;
     }
 
+    // 오프닝 북의 수 (북을 끄거나 북에 없는 국면이면 null)
+    bookMove(board, playerNumber) {
+        return this.useBook && this.openingBook ? this.openingBook.getMove(board, playerNumber, this.rules) : null;
+    }
+
     // 메인 AI 착수 함수
-    getMove(board, playerNumber = 2) {
+    // clock: 둘 차례의 대국 시계 { time, increment, byoyomi, periods } - 주면 timeLimit 대신 그 수당 시간
+    getMove(board, playerNumber = 2, clock = null) {
+        this.stopRequested = false;
+        const startTime = Date.now();
+        const timeLimit = OmokClock.budget(clock, this.timeLimit);
+        const bookMove = this.bookMove(board, playerNumber);
+        if (bookMove) {
+            return bookMove;
+        }
+
         // 첫 수는 중앙에
         const center = Math.floor(this.size / 2);
         let isEmpty = true;
@@ -409,35 +504,121 @@ class Omok2025 {
             return defenseMove;
         }
 
-        // 3. Minimax 탐색
-        let bestScore = -Infinity;
-        let bestMove = null;
-        const moves = this.getCandidateMoves(board);
+        // 3. 남은 시간으로 반복 심화 탐색
+        const remaining = Math.max(timeLimit - (Date.now() - startTime), timeLimit / 5);
+        const { best } = this.searchMoves(board, playerNumber, remaining);
+        if (best) {
+            return { x: best.x, y: best.y };
+        }
 
-        // 평가 후 정렬 → 상위 12개만 사용
-        const scoredMoves = moves.map(([x, y]) => {
-            board[y][x] = playerNumber;
-            const score = this.evaluateBoard(board, playerNumber);
-            board[y][x] = 0;
-            return { x, y, score };
-        }).sort((a, b) => b.score - a.score).slice(0, 12);
+        // 후보수가 없으면 남은 빈 칸 중 둘 수 있는 곳 (없으면 null - 무승부)
+        return this.rules.findLegalMove(board, playerNumber);
+    }
 
-        for (const { x, y } of scoredMoves) {
-            board[y][x] = playerNumber;
-            const score = this.minimax(board, 2, -Infinity, Infinity, false, playerNumber);
-            board[y][x] = 0;
-            if (score > bestScore) {
-                bestScore = score;
-                bestMove = [x, y];
+    // 정적 평가 상위 width개 후보를 반복 심화로 탐색 - 깊이마다 앞 깊이의 점수순으로 다시 읽음
+    // 시간이 다 되거나 stop()으로 끝나지 않은 깊이는 다 읽은 후보 중 최선수만 받아들임 (앞 깊이의 최선수를 먼저 읽으므로)
+    // 결과: { best, depth, candidates: [{ x, y, score, pv }] } - candidates는 마지막으로 끝낸 깊이의 점수순, pv는 그 후보부터의 예상 수순
+    searchMoves(board, playerNumber, timeLimit = this.timeLimit) {
+        const startTime = Date.now();
+        this.deadline = this.stopRequested ? 0 : startTime + timeLimit * 0.9;
+        this.aborted = false;
+        this.nodeCount = 0;
+        const position = this.createPosition(board);
+        this.TT.newSearch();
+
+        let moves = this.orderMoves(position, this.getCandidateMoves(board, playerNumber), playerNumber).slice(0, this.width);
+        let result = { best: null, depth: 0, candidates: [] };
+
+        for (let depth = 1; depth <= this.maxDepth; depth++) {
+            if (depth > 1 && (Date.now() - startTime > timeLimit * 0.8 || this.stopRequested)) break;
+
+            const scored = [];
+            let best = null;
+            for (let i = 0; i < moves.length; i++) {
+                const [x, y] = moves[i];
+                position.place(x, y, playerNumber);
+                const { score, pv } = this.minimax(position, depth - 1, -Infinity, Infinity, false, playerNumber);
+                position.undo();
+                if (this.aborted) break;
+
+                const candidate = { x, y, score, pv: [{ x, y, player: playerNumber }, ...pv] };
+                scored.push(candidate);
+                if (!best || score > best.score) best = candidate;
+
+                if (this.onProgress) {
+                    this.onProgress({
+                        depth,
+                        searched: i + 1,
+                        total: moves.length,
+                        bestMove: { x: best.x, y: best.y },
+                        score: best.score,
+                        nodes: this.nodeCount,
+                        elapsed: Date.now() - startTime
+                    });
+                }
             }
-        }
 
-        if (bestMove) {
-            const [bx, by] = bestMove;
-            return { x: bx, y: by };
+            if (!this.aborted) {
+                // 같은 점수면 먼저 읽은 수가 앞 (안정 정렬)
+                const candidates = scored.sort((a, b) => b.score - a.score);
+                result = { best: candidates[0] || null, depth, candidates };
+                moves = candidates.map(c => [c.x, c.y]);
+            } else {
+                if (best) result = { ...result, best };
+                break;
+            }
         }
+        return result;
+    }
 
-        return null;
+    // 국면 분석: 둘 차례(playerNumber) 기준 점수, 상위 후보와 예상 수순
+    // balance: 형세를 -1(불리) ~ 1(유리)로 줄인 값 (평가 막대용)
+    analyze(board, playerNumber = 2, topN = 5) {
+        const startTime = Date.now();
+        this.stopRequested = false;
+        const { best, depth, candidates } = this.searchMoves(board, playerNumber);
+        const score = best ? best.score : this.evaluateBoard(board, playerNumber);
+        return {
+            player: playerNumber,
+            depth,
+            score,
+            balance: Math.tanh(score / 2000),
+            pv: best ? best.pv : [],
+            candidates: candidates.slice(0, topN),
+            elapsed: Date.now() - startTime
+        };
+    }
+
+    // 무승부 제안 수락 여부 - 형세가 앞서지 않으면 수락
+    acceptsDraw(board, playerNumber = 2) {
+        return this.evaluateBoard(board, playerNumber) <= 0;
+    }
+
+    // 오프닝 규칙(OmokOpening)용 흑 기준 형세 (-1 ~ 1)
+    openingBalance(board) {
+        return Math.tanh(this.evaluateBoard(board, 1) / 100);
+    }
+
+    // 오프닝 규칙의 지금 요청에 답함 (돌 놓기, 5수 후보 제시/고르기, 흑백 교체 여부)
+    openingMove(opening) {
+        return OmokOpening.decide(opening, board => this.openingBalance(board));
+    }
+
+    // 새 대국 - 치환표 비우기
+    newGame() {
+        this.TT.clear();
+    }
+
+    // 진행 중인 탐색 끝내기 (onProgress 안에서 호출) - 지금까지 읽은 후보 중 최선수를 둔다
+    stop() {
+        this.stopRequested = true;
+        this.deadline = 0;
+    }
+
+    // stopCheck에 물어 멈출지 - 진행 중인 탐색을 끝내야 하면 true
+    checkStop() {
+        if (!this.stopRequested && this.stopCheck && this.stopCheck()) this.stop();
+        return this.stopRequested;
     }
 }
 
@@ -0,0 +1,260 @@
+// 오목 AI 클라이언트 - 메인 스레드에서 워커(omok_worker.js)에 착수를 요청
+// 워커를 쓸 수 없는 환경(file:// 등)에서는 같은 인터페이스로 메인 스레드에서 계산한다
+//
+// 지금 두기(stop): 워커의 탐색은 동기 코드라 메시지를 받을 수 없으므로, SharedArrayBuffer를 쓸 수 있으면
+// 워커와 함께 보는 플래그를 세워 엔진이 시간 제한을 확인할 때(stopCheck) 멈추게 하고, 쓸 수 없으면 워커를 새로 띄우고
+// 마지막 진행 보고의 최선수로 답한다 (아직 보고가 없으면 첫 보고 때)
+
+class OmokAIClient {
+    // 요청 종류별 결과 필드 이름
+    static RESULT_FIELDS = { move: "move", analyze: "analysis", opening: "decision", draw: "accepted", review: "review", solve: "solution" };
+
+    constructor(workerUrl = "omok_worker.js") {
+        this.workerUrl = workerUrl;
+        this.worker = null;
+        this.config = { boardSize: 15, ruleSet: "renju", engineOptions: {} };
+        this.nextId = 1;
+        this.pending = null; // { id, resolve, onProgress, message, startTime, lastInfo, stopped }
+        // 지금 두기 플래그 (워커와 함께 씀 - 0이 아니면 탐색을 끝냄), 교차 출처 격리가 안 된 페이지에서는 null
+        this.stopFlag = typeof SharedArrayBuffer !== "undefined" && globalThis.crossOriginIsolated !== false
+            ? new Int32Array(new SharedArrayBuffer(4))
+            : null;
+        this.localEngines = null;
+        this.book = null; // 엔진에 줄 오프닝 북 (OmokBook)
+        this.spawn();
+    }
+
+    get busy() {
+        return this.pending !== null;
+    }
+
+    spawn() {
+        try {
+            this.worker = new Worker(this.workerUrl);
+        } catch (err) {
+            this.useLocalEngines();
+            return;
+        }
+        this.worker.onmessage = (e) => this.handleMessage(e.data);
+        this.worker.onerror = () => {
+            // 워커 스크립트를 불러오지 못하면 메인 스레드 계산으로 전환
+            this.worker.terminate();
+            this.useLocalEngines();
+            if (this.pending) this.runLocal(this.pending);
+        };
+        this.worker.postMessage({ type: "configure", ...this.config });
+        if (this.book) this.worker.postMessage({ type: "book", book: this.book.toJSON() });
+        if (this.stopFlag) this.worker.postMessage({ type: "stopFlag", flag: this.stopFlag });
+    }
+
+    useLocalEngines() {
+        this.worker = null;
+        this.localEngines = {};
+    }
+
+    // 메인 스레드 계산용 엔진 - 처음 요청할 때 레지스트리에서 생성 (없는 엔진이면 Error)
+    getLocalEngine(id) {
+        if (!this.localEngines[id]) {
+            const { boardSize, ruleSet, engineOptions } = this.config;
+            this.localEngines[id] = OmokEngines.create(id, boardSize, { ruleSet, openingBook: this.book, ...engineOptions[id] });
+        }
+        return this.localEngines[id];
+    }
+
+    // engineOptions: 엔진별 생성 옵션 { 엔진: 옵션 } (예: { mcts: { playouts: 10000 } })
+    configure(boardSize, ruleSet, engineOptions = {}) {
+        this.config = { boardSize, ruleSet, engineOptions };
+        if (this.worker) {
+            this.worker.postMessage({ type: "configure", ...this.config });
+        } else {
+            this.localEngines = {};
+        }
+    }
+
+    // 오프닝 북 바꾸기 (null이면 북 없음) - 북을 쓸지는 엔진마다 book 옵션으로 정함
+    setBook(book) {
+        this.book = book;
+        if (this.worker) {
+            this.worker.postMessage({ type: "book", book: book ? book.toJSON() : null });
+        } else {
+            for (const ai of Object.values(this.localEngines)) ai.openingBook = book;
+        }
+    }
+
+    // 새 대국 - 엔진마다 이전 대국의 탐색 기록(치환표, 수 정렬 통계 등)을 비움
+    newGame() {
+        if (this.worker) {
+            this.worker.postMessage({ type: "newGame" });
+        } else {
+            for (const ai of Object.values(this.localEngines)) ai.newGame();
+        }
+    }
+
+    // 착수 요청 - 결과 { move, thinkTime }, 취소되면 null로 resolve
+    // clock: 둘 차례의 대국 시계 { time, increment, byoyomi, periods } (OmokClock.engineTime) - 엔진이 수당 시간을 정함
+    requestMove(engine, board, player, onProgress = null, clock = null) {
+        return this.request({ type: "move", engine, board, player, clock }, onProgress);
+    }
+
+    // 국면 분석 요청 - 결과 { analysis, thinkTime }, 취소되면 null로 resolve
+    requestAnalysis(engine, board, player, topN = 5, onProgress = null) {
+        return this.request({ type: "analyze", engine, board, player, topN }, onProgress);
+    }
+
+    // 오프닝 규칙의 지금 요청에 대한 엔진의 답 (openingMove) - 결과 { decision, thinkTime }, 취소되면 null로 resolve
+    requestOpening(engine, opening, onProgress = null) {
+        return this.request({ type: "opening", engine, opening: opening.toJSON() }, onProgress);
+    }
+
+    // player 쪽 엔진이 무승부 제안을 받을지 (acceptsDraw) - 결과 { accepted, thinkTime }, 취소되면 null로 resolve
+    requestDraw(engine, board, player) {
+        return this.request({ type: "draw", engine, board, player }, null);
+    }
+
+    // 대국 복기 요청 (OmokReviewer) - 결과 { review, thinkTime }, 취소되면 null로 resolve
+    requestReview(moves, onProgress = null) {
+        return this.request({ type: "review", moves: moves.map(({ x, y, player }) => ({ x, y, player })) }, onProgress);
+    }
+
+    // 국면 풀이 요청 (OmokSolver) - 결과 { solution, thinkTime }, 취소되면 null로 resolve
+    requestSolve(board, player, onProgress = null) {
+        return this.request({ type: "solve", board, player }, onProgress);
+    }
+
+    request(fields, onProgress) {
+        if (this.pending) this.cancel();
+
+        return new Promise((resolve) => {
+            const id = this.nextId++;
+            const message = { ...fields, id };
+            if (fields.board) message.board = fields.board.map(row => [...row]);
+            this.pending = { id, resolve, onProgress, message, startTime: Date.now(), lastInfo: null, stopped: false };
+            if (this.stopFlag) Atomics.store(this.stopFlag, 0, 0);
+
+            if (this.worker) {
+                this.worker.postMessage(message);
+            } else {
+                this.runLocal(this.pending);
+            }
+        });
+    }
+
+    runLocal(request) {
+        // 상태 표시가 그려질 수 있도록 한 프레임 양보한 뒤 계산
+        setTimeout(() => {
+            if (this.pending !== request) return;
+            const { type, engine, board, player, topN, moves, opening, clock } = request.message;
+            const startTime = Date.now();
+            let ai = null;
+            try {
+                if (type === "review") {
+                    const reviewer = new OmokReviewer(this.config.boardSize, { ruleSet: this.config.ruleSet });
+                    const review = reviewer.reviewGame(moves);
+                    this.handleMessage({ type: "result", id: request.id, review, thinkTime: Date.now() - startTime });
+                } else if (type === "solve") {
+                    const solver = new OmokSolver(this.config.boardSize, { ruleSet: this.config.ruleSet });
+                    const solution = solver.solve(board, player);
+                    this.handleMessage({ type: "result", id: request.id, solution, thinkTime: Date.now() - startTime });
+                } else if (type === "analyze") {
+                    ai = this.watchLocal(this.getLocalEngine(engine), request);
+                    const analysis = ai.analyze(board, player, topN);
+                    this.handleMessage({ type: "result", id: request.id, analysis, thinkTime: Date.now() - startTime });
+                } else if (type === "opening") {
+                    const decision = this.getLocalEngine(engine).openingMove(OmokOpening.fromJSON(opening));
+                    this.handleMessage({ type: "result", id: request.id, decision, thinkTime: Date.now() - startTime });
+                } else if (type === "draw") {
+                    const accepted = this.getLocalEngine(engine).acceptsDraw(board, player);
+                    this.handleMessage({ type: "result", id: request.id, accepted, thinkTime: Date.now() - startTime });
+                } else {
+                    ai = this.watchLocal(this.getLocalEngine(engine), request);
+                    const move = ai.getMove(board, player, clock);
+                    this.handleMessage({ type: "result", id: request.id, move, thinkTime: Date.now() - startTime });
+                }
+            } catch (err) {
+                this.handleMessage({ type: "error", id: request.id, message: err.message });
+            } finally {
+                if (ai) {
+                    ai.onProgress = null;
+                    ai.stopCheck = null;
+                }
+            }
+        }, 50);
+    }
+
+    // 메인 스레드 탐색의 진행 보고를 전달하고, 탐색 전에 지금 두기를 눌렀으면 엔진의 stopCheck로 멈춤
+    watchLocal(ai, request) {
+        ai.onProgress = info => this.handleMessage({ type: "progress", id: request.id, info });
+        ai.stopCheck = () => request.stopped;
+        return ai;
+    }
+
+    handleMessage(msg) {
+        const request = this.pending;
+        if (!request || msg.id !== request.id) return; // 취소된 요청의 늦은 응답
+
+        switch (msg.type) {
+            case "progress":
+                request.lastInfo = msg.info;
+                if (request.onProgress) request.onProgress(msg.info);
+                if (request.stopped && this.worker && !this.stopFlag) this.answerStopped(request); // 첫 보고 전에 누른 지금 두기
+                break;
+            case "result": {
+                this.pending = null;
+                const field = OmokAIClient.RESULT_FIELDS[request.message.type];
+                request.resolve({ [field]: msg[field], thinkTime: msg.thinkTime });
+                break;
+            }
+            case "error": {
+                this.pending = null;
+                console.error(`AI error: ${msg.message}`);
+                const field = OmokAIClient.RESULT_FIELDS[request.message.type];
+                request.resolve({ [field]: null, thinkTime: 0 });
+                break;
+            }
+        }
+    }
+
+    // 지금 두기 - 진행 중인 착수 탐색을 끝내고 지금까지의 최선수를 결과로 받음 (착수 요청이 아니면 무시)
+    // 결과: 멈추기가 받아들여졌으면 true, 착수 요청이 아니거나 첫 진행 보고를 기다려야 하면 false
+    stop() {
+        const request = this.pending;
+        if (!request || request.message.type !== "move") return false;
+
+        request.stopped = true;
+        if (!this.worker) return true; // 메인 스레드 탐색은 watchLocal의 stopCheck가 멈춤
+        if (this.stopFlag) {
+            Atomics.store(this.stopFlag, 0, 1);
+            return true;
+        }
+        return this.answerStopped(request);
+    }
+
+    // 플래그를 함께 쓸 수 없을 때의 지금 두기 - 워커를 새로 띄우고 마지막 진행 보고의 최선수로 답함 (보고가 없으면 false)
+    answerStopped(request) {
+        const info = request.lastInfo;
+        if (!info || !info.bestMove) return false;
+        this.pending = null;
+        this.worker.terminate();
+        this.spawn();
+        request.resolve({ move: info.bestMove, thinkTime: Date.now() - request.startTime });
+        return true;
+    }
+
+    // 진행 중인 탐색 중단 - 워커를 종료하고 새로 띄움
+    cancel() {
+        const request = this.pending;
+        if (!request) return;
+
+        this.pending = null;
+        if (this.worker) {
+            this.worker.terminate();
+            this.spawn();
+        }
+        request.resolve(null);
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OmokAIClient;
+}
\ No newline at end of file
@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+// 오목 AI 탐색 벤치마크 - Counter AI의 수 정렬 기법과 대칭 치환표를 하나씩 켜며 같은 국면을 같은 깊이로 탐색하고
+// 노드 수/시간을 비교
+//
+// 사용법:
+//   node omok_bench.js
+//   node omok_bench.js --depth 6 --json bench.json
+//   node omok_bench.js --depth 4 "h8 i9 h9 i8 h7" game.sgf
+//
+// 옵션:
+//   --depth <n>     탐색 깊이 (기본 5) - 시간 제한 없이 이 깊이까지 반복 심화
+//   --rule <name>   freestyle | gomoku | renju | caro (기본 renju, 기보 파일은 기보의 규칙)
+//   --json <file>   결과를 JSON 파일로 저장 ("-"이면 표준 출력)
+//   [국면 ...]      기보 파일 또는 좌표 문자열 - 마지막 수 다음 차례를 탐색 (없으면 내장 국면)
+
+const fs = require('fs');
+const OmokRules = require('./omok_rules.js');
+const OmokCounter = require('./omok_counter.js');
+const OmokRecord = require('./omok_record.js');
+
+// 내장 국면 (실제 대국의 초반/중반)
+const POSITIONS = [
+    "h8 g9 e9 f8 e7 e8 d8 h10 g10 f7",
+    "h8 g9 e9 f8 e7 e8 d8 h10 g10 f7 f9 d9 c10 i11 j12 f6 g6 h11 h12 g11",
+    "h8 g9 e9 f8 e7 e8 d8 h10 g10 f7 f9 d9 c10 i11 j12 f6 g6 h11 h12 g11 f11 f5 f4 f12 e13 i9 j8 i12 i10 h9",
+    "h8 g9 e9 f8 e7 e8 d8 h10 g10 f7 f9 d9 c10 i11 j12 f6 g6 h11 h12 g11 f11 f5 f4 f12 e13 i9 j8 i12 i10 h9 j11 e6 d5 c8 d7 d6 b7 c6 b6 c7",
+    "h8 f10 i9 g7 i8 i7 j8 g8 g11 h10 k7 j10 l8 k8 m9 n10",
+    "h8 f10 i9 g7 i8 i7 j8 g8 g11 h10 k7 j10 l8 k8 m9 n10 j6 i5 j9 h9 l9 k9"
+];
+
+// 정렬 기법을 하나씩 더해 가며 비교 (첫 줄이 기준), 마지막 줄은 치환표가 대칭 국면을 함께 쓰는 기본 설정
+const CONFIGS = [
+    { label: "static ordering", options: { killers: false, history: false, pvs: false, aspirationWindow: 0, symmetry: false } },
+    { label: "+ killer moves", options: { killers: true, history: false, pvs: false, aspirationWindow: 0, symmetry: false } },
+    { label: "+ history", options: { killers: true, history: true, pvs: false, aspirationWindow: 0, symmetry: false } },
+    { label: "+ PVS", options: { killers: true, history: true, pvs: true, aspirationWindow: 0, symmetry: false } },
+    { label: "+ aspiration", options: { killers: true, history: true, pvs: true, symmetry: false } },
+    { label: "+ symmetric TT", options: { killers: true, history: true, pvs: true } }
+];
+
+const DEFAULTS = {
+    depth: 5,
+    rule: "renju",
+    json: null,
+    positions: []
+};
+
+function parseArgs(argv) {
+    const opts = { ...DEFAULTS, positions: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+        switch (arg) {
+            case "--depth": opts.depth = parseInt(next(), 10); break;
+            case "--rule": opts.rule = next(); break;
+            case "--json": opts.json = next(); break;
+            case "--help":
+            case "-h":
+                opts.help = true;
+                break;
+            default:
+                if (arg.startsWith("--")) throw new Error(`Unknown option: ${arg}`);
+                opts.positions.push(arg);
+        }
+    }
+
+    if (!(opts.depth >= 2)) throw new Error("Depth must be at least 2");
+    if (!(opts.rule in OmokRules.RULE_SETS)) throw new Error(`Unknown rule set: ${opts.rule}`);
+    return opts;
+}
+
+// 기보 파일이나 좌표 문자열 → { name, size, ruleSet, board, player }
+function loadPosition(input, rule) {
+    const isFile = fs.existsSync(input);
+    const record = OmokRecord.parse(isFile ? fs.readFileSync(input, "utf8") : input);
+    const board = Array.from({ length: record.size }, () => Array(record.size).fill(0));
+    for (const m of record.moves) board[m.y][m.x] = m.player;
+    const last = record.moves[record.moves.length - 1];
+    return {
+        name: isFile ? input : `${record.moves.length} moves`,
+        size: record.size,
+        ruleSet: (isFile && record.ruleSet) || rule,
+        board,
+        player: last ? 3 - last.player : 1
+    };
+}
+
+// 설정 하나로 모든 국면을 탐색
+function runConfig(config, positions, depth) {
+    const result = { label: config.label, nodes: 0, researches: 0, cutoffs: 0, firstMoveCutoffs: 0, time: 0, moves: [] };
+    for (const position of positions) {
+        const engine = new OmokCounter(position.size, { ruleSet: position.ruleSet, ...config.options });
+        const startTime = Date.now();
+        const { bestMove, score } = engine.iterativeDeepening(position.board, depth, Infinity, position.player);
+        result.time += Date.now() - startTime;
+        for (const key of ["nodes", "researches", "cutoffs", "firstMoveCutoffs"]) result[key] += engine.searchStats[key];
+        result.moves.push({ ...bestMove, score });
+    }
+    return result;
+}
+
+function runBenchmark(opts, onConfig = () => {}) {
+    const inputs = opts.positions.length > 0 ? opts.positions : POSITIONS;
+    const positions = inputs.map(input => loadPosition(input, opts.rule));
+    const results = [];
+    for (const config of CONFIGS) {
+        const result = runConfig(config, positions, opts.depth);
+        results.push(result);
+        onConfig(result);
+    }
+
+    // 정렬 기법은 탐색 순서만 바꾸므로 최선수는 기준과 같아야 함 (동점 수는 다를 수 있음)
+    const [base] = results;
+    for (const result of results) {
+        result.sameMoves = result.moves.filter((m, i) => m.x === base.moves[i].x && m.y === base.moves[i].y).length;
+        result.nodeRatio = base.nodes ? +(result.nodes / base.nodes).toFixed(3) : 1;
+    }
+    return { depth: opts.depth, positions: positions.map(p => p.name), results };
+}
+
+function formatTable(report) {
+    const header = ["Ordering", "Nodes", "Node ratio", "Re-searches", "Cutoffs", "1st-move cut %", "Time ms", "Same move"];
+    const rows = report.results.map(r => [
+        r.label,
+        String(r.nodes),
+        r.nodeRatio.toFixed(3),
+        String(r.researches),
+        String(r.cutoffs),
+        r.cutoffs ? (100 * r.firstMoveCutoffs / r.cutoffs).toFixed(1) : "-",
+        String(r.time),
+        `${r.sameMoves}/${r.moves.length}`
+    ]);
+    const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+    const line = cells => cells.map((c, i) => i === 0 ? c.padEnd(widths[i]) : c.padStart(widths[i])).join("  ");
+    return [line(header), widths.map(w => "-".repeat(w)).join("  "), ...rows.map(line)].join("\n");
+}
+
+function main() {
+    let opts;
+    try {
+        opts = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+    if (opts.help) {
+        const usage = fs.readFileSync(__filename, "utf8").split("\n")
+            .filter(line => line.startsWith("//")).map(line => line.replace(/^\/\/ ?/, ""));
+        console.log(usage.join("\n"));
+        return;
+    }
+
+    const report = runBenchmark(opts, result => {
+        console.error(`${result.label}: ${result.nodes} nodes, ${result.time}ms`);
+    });
+
+    if (opts.json === "-") {
+        console.log(JSON.stringify(report, null, 2));
+        return;
+    }
+    console.log(`Depth ${report.depth}, ${report.positions.length} positions\n`);
+    console.log(formatTable(report));
+    if (opts.json) {
+        fs.writeFileSync(opts.json, JSON.stringify(report, null, 2));
+        console.log(`\nJSON report written to ${opts.json}`);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { POSITIONS, CONFIGS, parseArgs, runBenchmark, formatTable };
@@ -0,0 +1,211 @@
+// 증분 평가 판 - 착수/무르기 때 그 수가 지나는 4줄의 패턴 점수만 다시 계산
+//
+// 두 엔진의 평가 함수는 모두 "돌 하나 × 방향 하나" 점수의 합이라, 한 줄(가로/세로/대각선)의 점수는
+// 그 줄 위의 돌에만 달려 있다. 줄마다 흑/백 점수와 위협 목록을 저장해 두고 place/undo 때
+// 바뀐 4줄만 다시 계산하면 전체 평가는 저장된 합계를 읽는 것으로 끝난다.
+//
+// evaluator (엔진이 제공)
+//   evaluateStone(board, x, y, dx, dy, player) → 점수 또는 { score, threat, criticalPoint }
+//   stoneScore(x, y, player)                    → 돌 하나의 위치 점수 (선택)
+//
+// 국면 키: 64비트 Zobrist 키를 32비트 두 개(keyHi, keyLo)로 place/undo 때 XOR로 갱신
+// 난수표는 판 크기별로 고정된 시드에서 만들어 실행할 때마다 같은 키가 나온다
+// 판의 8가지 대칭(omok_symmetry.js)으로 옮긴 판의 키도 함께 갱신해서, canonicalKey()는
+// 회전하거나 뒤집은 같은 국면에 같은 키를 준다 (치환표가 대칭 국면을 함께 씀)
+
+// Node에서는 <script> 태그 대신 require로 대칭 모듈을 불러온다
+if (typeof module !== 'undefined' && module.exports && typeof OmokSymmetry === 'undefined') {
+    globalThis.OmokSymmetry = require('./omok_symmetry.js');
+}
+
+class OmokBoard {
+    static DIRS = [[1, 0], [0, 1], [1, 1], [1, -1]];
+    static zobristTables = new Map(); // 판 크기 → { hi, lo } (칸 × 색마다 32비트 난수 두 개)
+
+    static zobrist(size) {
+        if (!OmokBoard.zobristTables.has(size)) {
+            // xorshift32 - 고정 시드라 키가 실행마다 같음
+            let seed = 0x9e3779b9 ^ size;
+            const next = () => {
+                seed ^= seed << 13;
+                seed ^= seed >>> 17;
+                seed ^= seed << 5;
+                return seed | 0;
+            };
+            const hi = new Int32Array(size * size * 2);
+            const lo = new Int32Array(size * size * 2);
+            for (let i = 0; i < hi.length; i++) {
+                hi[i] = next();
+                lo[i] = next();
+            }
+            OmokBoard.zobristTables.set(size, { hi, lo });
+        }
+        return OmokBoard.zobristTables.get(size);
+    }
+
+    constructor(board, evaluator) {
+        this.size = board.length;
+        this.board = board.map(row => [...row]);
+        this.evaluator = evaluator;
+        this.history = []; // [{ x, y, player, saved }] - saved: 바뀌기 전 4줄의 캐시
+        this.totals = { 1: 0, 2: 0 };
+        this.zobristKeys = OmokBoard.zobrist(this.size);
+        this.cellMaps = OmokSymmetry.cellMap(this.size);
+        this.keyHi = 0;
+        this.keyLo = 0;
+        this.symmetryKeys = new Int32Array(16); // 대칭 t로 옮긴 판의 키 [hi, lo] (t = 0이 keyHi, keyLo)
+
+        // lines[d][id] = { 1: { score, threats }, 2: { score, threats } }
+        this.lines = OmokBoard.DIRS.map((_, d) => {
+            const lines = [];
+            for (let id = 0; id < this.lineCount(d); id++) {
+                lines.push(this.evaluateLine(d, id));
+                this.totals[1] += lines[id][1].score;
+                this.totals[2] += lines[id][2].score;
+            }
+            return lines;
+        });
+
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                const player = this.board[y][x];
+                if (player === 0) continue;
+                this.toggleKey(x, y, player);
+                if (evaluator.stoneScore) this.totals[player] += evaluator.stoneScore(x, y, player);
+            }
+        }
+    }
+
+    toggleKey(x, y, player) {
+        const cell = y * this.size + x;
+        const keys = this.symmetryKeys;
+        for (let t = 0; t < 8; t++) {
+            const index = this.cellMaps[t][cell] * 2 + player - 1;
+            keys[t * 2] ^= this.zobristKeys.hi[index];
+            keys[t * 2 + 1] ^= this.zobristKeys.lo[index];
+        }
+        this.keyHi = keys[0];
+        this.keyLo = keys[1];
+    }
+
+    // 대칭 키 중 가장 작은 것 → { hi, lo, transform } (transform: 지금 판을 그 방향으로 옮기는 대칭)
+    canonicalKey() {
+        const keys = this.symmetryKeys;
+        let best = 0;
+        for (let t = 1; t < 8; t++) {
+            const hi = keys[t * 2] >>> 0, bestHi = keys[best * 2] >>> 0;
+            if (hi < bestHi || (hi === bestHi && (keys[t * 2 + 1] >>> 0) < (keys[best * 2 + 1] >>> 0))) best = t;
+        }
+        return { hi: keys[best * 2], lo: keys[best * 2 + 1], transform: best };
+    }
+
+    // 방향 d의 줄 개수 (가로/세로는 size, 대각선은 2 * size - 1)
+    lineCount(d) {
+        return d < 2 ? this.size : 2 * this.size - 1;
+    }
+
+    // (x, y)를 지나는 방향 d 줄의 번호
+    lineId(d, x, y) {
+        switch (d) {
+            case 0: return y;
+            case 1: return x;
+            case 2: return x - y + this.size - 1;
+            default: return x + y;
+        }
+    }
+
+    // 방향 d, 번호 id 줄의 첫 칸 (x가 가장 작은 칸, 세로줄은 y가 가장 작은 칸)
+    lineStart(d, id) {
+        const last = this.size - 1;
+        switch (d) {
+            case 0: return [0, id];
+            case 1: return [id, 0];
+            case 2: return id >= last ? [id - last, 0] : [0, last - id];
+            default: return id <= last ? [0, id] : [id - last, last];
+        }
+    }
+
+    evaluateLine(d, id) {
+        const [dx, dy] = OmokBoard.DIRS[d];
+        const result = { 1: { score: 0, threats: [] }, 2: { score: 0, threats: [] } };
+        let [x, y] = this.lineStart(d, id);
+
+        for (; x >= 0 && y >= 0 && x < this.size && y < this.size; x += dx, y += dy) {
+            const player = this.board[y][x];
+            if (player === 0) continue;
+
+            const value = this.evaluator.evaluateStone(this.board, x, y, dx, dy, player);
+            if (typeof value === "number") {
+                result[player].score += value;
+            } else {
+                result[player].score += value.score;
+                if (value.threat > 0) {
+                    result[player].threats.push({
+                        x: value.criticalPoint?.x,
+                        y: value.criticalPoint?.y,
+                        level: value.threat,
+                        player
+                    });
+                }
+            }
+        }
+        return result;
+    }
+
+    place(x, y, player) {
+        this.board[y][x] = player;
+        const saved = [];
+        for (let d = 0; d < 4; d++) {
+            const id = this.lineId(d, x, y);
+            const before = this.lines[d][id];
+            const after = this.evaluateLine(d, id);
+            this.totals[1] += after[1].score - before[1].score;
+            this.totals[2] += after[2].score - before[2].score;
+            this.lines[d][id] = after;
+            saved.push(before);
+        }
+        if (this.evaluator.stoneScore) this.totals[player] += this.evaluator.stoneScore(x, y, player);
+        this.toggleKey(x, y, player);
+        this.history.push({ x, y, player, saved });
+    }
+
+    // 마지막 수 되돌리기 - 저장해 둔 줄 캐시를 그대로 복원하므로 다시 계산하지 않음
+    undo() {
+        const { x, y, player, saved } = this.history.pop();
+        this.board[y][x] = 0;
+        for (let d = 0; d < 4; d++) {
+            const id = this.lineId(d, x, y);
+            const after = this.lines[d][id];
+            this.totals[1] += saved[d][1].score - after[1].score;
+            this.totals[2] += saved[d][2].score - after[2].score;
+            this.lines[d][id] = saved[d];
+        }
+        if (this.evaluator.stoneScore) this.totals[player] -= this.evaluator.stoneScore(x, y, player);
+        this.toggleKey(x, y, player);
+    }
+
+    score(player) {
+        return this.totals[player];
+    }
+
+    // player 기준 형세 (내 점수 - 상대 점수)
+    balance(player) {
+        return this.totals[player] - this.totals[3 - player];
+    }
+
+    // player의 모든 줄 위협 ({ x, y, level, player } - x, y는 막아야 할 자리)
+    threats(player) {
+        const threats = [];
+        for (const lines of this.lines) {
+            for (const line of lines) {
+                if (line[player].threats.length > 0) threats.push(...line[player].threats);
+            }
+        }
+        return threats;
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OmokBoard;
+}
@@ -0,0 +1,108 @@
+// 오목 오프닝 북 - 지난 대국의 초반 국면마다 어떤 수를 두어 어떤 결과가 났는지 모아 두고 엔진이 탐색 전에 찾아봄
+// 판의 8가지 대칭(회전, 뒤집기)으로 같은 국면은 하나로 모으고, 찾을 때는 지금 판의 방향으로 되돌려 준다
+//
+// 국면 키: OmokSymmetry의 표준형 키
+// 북 데이터(toJSON): { size, ruleSet, maxPly, games, positions: { 키: { "x,y": [대국 수, 둔 쪽 승, 무승부] } } }
+//   좌표는 키의 방향 - 국면이 대칭이면 같은 수끼리도 가장 작은 좌표 하나로 모은다
+//
+// 엔진은 book 옵션이 켜져 있고 openingBook이 주어지면 탐색 전에 getMove로 북의 수를 먼저 찾는다.
+
+// Node에서는 <script> 태그 대신 require로 대칭 모듈을 불러온다
+if (typeof module !== 'undefined' && module.exports && typeof OmokSymmetry === 'undefined') {
+    globalThis.OmokSymmetry = require('./omok_symmetry.js');
+}
+
+class OmokBook {
+    static MAX_PLY = 12; // 대국마다 북에 담는 초반 수
+    static MIN_GAMES = 2; // 이만큼 두어진 수만 북에서 고름
+    static MIN_SCORE = 0.4; // 둔 쪽 점수가 이보다 낮은 수는 고르지 않음 (엔진이 탐색으로 둠)
+
+    constructor(size = 15, ruleSet = "renju", maxPly = OmokBook.MAX_PLY) {
+        this.size = size;
+        this.ruleSet = ruleSet;
+        this.maxPly = maxPly;
+        this.games = 0; // 북에 더한 대국 수
+        this.positions = new Map(); // 국면 키 → Map("x,y" → { games, wins, draws })
+    }
+
+    // 보관함 대국(OmokLibrary)이나 기보(OmokRecord)로 북 만들기 - 크기나 룰셋이 다른 대국은 건너뜀
+    static fromGames(games, size, ruleSet, maxPly = OmokBook.MAX_PLY) {
+        const book = new OmokBook(size, ruleSet, maxPly);
+        for (const game of games) book.addGame(game);
+        return book;
+    }
+
+    static fromJSON(data) {
+        const book = new OmokBook(data.size, data.ruleSet, data.maxPly);
+        book.games = data.games || 0;
+        for (const [key, moves] of Object.entries(data.positions || {})) {
+            const stats = new Map();
+            for (const [point, [games, wins, draws]] of Object.entries(moves)) stats.set(point, { games, wins, draws });
+            book.positions.set(key, stats);
+        }
+        return book;
+    }
+
+    toJSON() {
+        const positions = {};
+        for (const [key, stats] of this.positions) {
+            positions[key] = {};
+            for (const [point, s] of stats) positions[key][point] = [s.games, s.wins, s.draws];
+        }
+        return { size: this.size, ruleSet: this.ruleSet, maxPly: this.maxPly, games: this.games, positions };
+    }
+
+    // 대국 하나를 더함 { size, ruleSet, moves, winner | result } - 크기나 룰셋이 다르거나 결과를 모르면 false
+    addGame({ size, ruleSet, moves, winner = null, result = null }) {
+        if (size !== this.size || ruleSet !== this.ruleSet) return false;
+        const outcome = winner ?? result; // OmokRecord는 result (null = 결과 미상)
+        if (outcome === null) return false; // 결과 미상 대국을 세면 둔 수마다 패배로 남음
+        const board = Array.from({ length: this.size }, () => Array(this.size).fill(0));
+
+        for (const { x, y, player } of moves.slice(0, this.maxPly)) {
+            const { key, move } = OmokSymmetry.canonicalMove(board, { x, y });
+            const point = `${move.x},${move.y}`;
+            if (!this.positions.has(key)) this.positions.set(key, new Map());
+            const stats = this.positions.get(key);
+            if (!stats.has(point)) stats.set(point, { games: 0, wins: 0, draws: 0 });
+
+            const s = stats.get(point);
+            s.games++;
+            if (outcome === player) s.wins++;
+            else if (outcome === 0) s.draws++;
+            board[y][x] = player;
+        }
+        this.games++;
+        return true;
+    }
+
+    // 이 국면에서 북에 있는 수 (지금 판의 방향) - 둔 쪽 기준 점수((승 + 무/2) / 대국)가 높은 순
+    lookup(board) {
+        const { key, transform } = OmokSymmetry.canonical(board);
+        const stats = this.positions.get(key);
+        if (!stats) return [];
+
+        return [...stats].map(([point, s]) => {
+            const [cx, cy] = point.split(",").map(Number);
+            const { x, y } = OmokSymmetry.fromCanonical({ x: cx, y: cy }, transform, this.size);
+            return { x, y, ...s, score: (s.wins + s.draws / 2) / s.games };
+        }).sort((a, b) => b.score - a.score || b.games - a.games);
+    }
+
+    // 엔진이 둘 북의 수 - minGames번 이상 두어지고 점수가 minScore 이상인 수 중 점수가 가장 높은 수 (없으면 null)
+    // rules를 주면 판 크기와 룰셋이 북과 같을 때만 찾고 금수 자리는 건너뜀
+    getMove(board, player, rules = null, minGames = OmokBook.MIN_GAMES, minScore = OmokBook.MIN_SCORE) {
+        if (rules && (rules.size !== this.size || rules.ruleSet !== this.ruleSet)) return null;
+        for (const move of this.lookup(board)) {
+            if (move.games < minGames || move.score < minScore || board[move.y][move.x] !== 0) continue;
+            if (rules && rules.isForbidden(board, move.x, move.y, player)) continue;
+            return { x: move.x, y: move.y };
+        }
+        return null;
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OmokBook;
+}
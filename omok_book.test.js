@@ -0,0 +1,100 @@
+// 오프닝 북 테스트 - 대칭 국면 찾기, minGames/minScore, 결과 미상 대국 - 실행: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const OmokBook = require('./omok_book.js');
+const OmokSymmetry = require('./omok_symmetry.js');
+const OmokRules = require('./omok_rules.js');
+
+const SIZE = 15;
+const emptyBoard = () => Array.from({ length: SIZE }, () => Array(SIZE).fill(0));
+
+function boardOf(moves) {
+    const board = emptyBoard();
+    for (const { x, y, player } of moves) board[y][x] = player;
+    return board;
+}
+
+const game = (moves, winner) => ({ size: SIZE, ruleSet: "renju", winner, moves: moves.map(([x, y], i) => ({ x, y, player: i % 2 + 1 })) });
+
+// 흑 h8, 백 i9 다음 흑의 세 번째 수만 다른 대국들
+const OPENING = [[7, 7], [8, 6]];
+
+test("회전하거나 뒤집은 국면에서도 같은 북의 수를 지금 판의 방향으로", () => {
+    const book = OmokBook.fromGames([game([...OPENING, [6, 8]], 1), game([...OPENING, [6, 8]], 1)], SIZE, "renju");
+    const board = boardOf(game(OPENING).moves);
+    assert.deepEqual(book.getMove(board, 1), { x: 6, y: 8 });
+
+    for (let t = 1; t < 8; t++) {
+        const moved = OmokSymmetry.transformBoard(board, t);
+        assert.deepEqual(book.getMove(moved, 1), OmokSymmetry.apply(t, { x: 6, y: 8 }, SIZE));
+    }
+});
+
+test("대칭으로 같은 대국은 한 수로 모임", () => {
+    // 두 번째 대국은 첫 대국을 좌우로 뒤집은 것
+    const moves = [...OPENING, [6, 8]];
+    const mirrored = moves.map(([x, y]) => [SIZE - 1 - x, y]);
+    const book = OmokBook.fromGames([game(moves, 1), game(mirrored, 2)], SIZE, "renju");
+    const [entry] = book.lookup(boardOf(game(OPENING).moves));
+    assert.deepEqual({ games: entry.games, wins: entry.wins, score: entry.score }, { games: 2, wins: 1, score: 0.5 });
+    assert.equal(book.lookup(emptyBoard())[0].games, 2);
+});
+
+test("minGames보다 적게 두어진 수와 둔 쪽 점수가 minScore보다 낮은 수는 고르지 않음", () => {
+    const board = boardOf(game(OPENING).moves);
+    const once = OmokBook.fromGames([game([...OPENING, [6, 8]], 1)], SIZE, "renju");
+    assert.equal(once.getMove(board, 1), null);
+    assert.deepEqual(once.getMove(board, 1, null, 1), { x: 6, y: 8 });
+
+    // (6,8)은 1승 2패 (점수 1/3), (9,5)는 1무 1패 (점수 0.25) - 둘 다 MIN_SCORE 0.4 미만
+    const losing = OmokBook.fromGames([
+        game([...OPENING, [6, 8]], 1), game([...OPENING, [6, 8]], 2), game([...OPENING, [6, 8]], 2),
+        game([...OPENING, [9, 5]], 0), game([...OPENING, [9, 5]], 2)
+    ], SIZE, "renju");
+    assert.deepEqual(losing.lookup(board).map(m => m.score), [1 / 3, 0.25]);
+    assert.equal(losing.getMove(board, 1), null);
+    assert.deepEqual(losing.getMove(board, 1, null, OmokBook.MIN_GAMES, 0.3), { x: 6, y: 8 });
+
+    // 같은 점수면 더 많이 두어진 수
+    const draws = OmokBook.fromGames([
+        game([...OPENING, [9, 5]], 0), game([...OPENING, [9, 5]], 0), game([...OPENING, [9, 5]], 0),
+        game([...OPENING, [6, 8]], 0), game([...OPENING, [6, 8]], 0)
+    ], SIZE, "renju");
+    assert.deepEqual(draws.getMove(board, 1), { x: 9, y: 5 });
+});
+
+test("결과를 모르는 대국, 크기나 룰셋이 다른 대국은 북에 넣지 않음", () => {
+    const book = new OmokBook(SIZE, "renju");
+    const moves = game([...OPENING, [6, 8]]).moves;
+    assert.equal(book.addGame({ size: SIZE, ruleSet: "renju", moves, result: null }), false);
+    assert.equal(book.addGame({ size: SIZE, ruleSet: "renju", moves }), false);
+    assert.equal(book.addGame({ size: 19, ruleSet: "renju", moves, winner: 1 }), false);
+    assert.equal(book.addGame({ size: SIZE, ruleSet: "gomoku", moves, winner: 1 }), false);
+    assert.deepEqual([book.games, book.positions.size], [0, 0]);
+
+    // OmokRecord의 result도 결과로 씀
+    assert.equal(book.addGame({ size: SIZE, ruleSet: "renju", moves, result: 2 }), true);
+    assert.equal(book.games, 1);
+});
+
+test("rules를 주면 룰셋이 다른 판에서는 찾지 않고 금수 자리는 건너뜀", () => {
+    // (7,7)이 흑의 쌍삼인 국면 - 북에는 점수가 같은 (7,7)과 (4,7)이 있고 (7,7)이 먼저
+    const opening = [[5, 7], [0, 0], [6, 7], [14, 0], [7, 5], [0, 14], [7, 6], [14, 14]];
+    const games = [game([...opening, [7, 7]], 1), game([...opening, [7, 7]], 1), game([...opening, [4, 7]], 1), game([...opening, [4, 7]], 1)];
+    const book = OmokBook.fromGames(games, SIZE, "renju", 12);
+    const board = boardOf(game(opening).moves);
+
+    assert.deepEqual(book.getMove(board, 1), { x: 7, y: 7 });
+    // 국면이 대각선 대칭이라 (4,7)과 (7,4)는 같은 수
+    const move = book.getMove(board, 1, new OmokRules(SIZE, "renju"));
+    assert.ok(OmokSymmetry.equivalent(board, move, { x: 4, y: 7 }), `(4,7)과 같은 수여야 함: ${JSON.stringify(move)}`);
+    assert.equal(book.getMove(board, 1, new OmokRules(SIZE, "freestyle")), null);
+});
+
+test("toJSON/fromJSON 왕복", () => {
+    const book = OmokBook.fromGames([game([...OPENING, [6, 8]], 1), game([...OPENING, [9, 5]], 0)], SIZE, "renju");
+    const copy = OmokBook.fromJSON(JSON.parse(JSON.stringify(book.toJSON())));
+    assert.deepEqual(copy.toJSON(), book.toJSON());
+    const board = boardOf(game(OPENING).moves);
+    assert.deepEqual(copy.lookup(board), book.lookup(board));
+});
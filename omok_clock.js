@@ -0,0 +1,124 @@
+// 오목 대국 시계 - 흑백 양쪽의 남은 시간 (체스 시계처럼 자기 차례에만 줄어듦)
+//
+// 방식 (type)
+//   none      시간 제한 없음
+//   sudden    서든데스 - 본 시간(main)을 다 쓰면 시간패
+//   fischer   피셔 - 수를 둘 때마다 increment만큼 더함
+//   byoyomi   초읽기 - 본 시간을 다 쓰면 수마다 byoyomi 안에 두어야 하고, 넘길 때마다 횟수(periods)가 하나씩 줄어 다 쓰면 시간패
+// 시간은 모두 ms.
+//
+// 엔진에는 둘 차례의 시간 정보 { time, increment, byoyomi, periods }를 getMove의 세 번째 인자로 주고,
+// 엔진은 OmokClock.budget으로 이번 수에 쓸 시간을 정한다.
+
+class OmokClock {
+    static TYPES = {
+        none: "없음",
+        sudden: "서든데스",
+        fischer: "피셔 (수마다 증분)",
+        byoyomi: "초읽기"
+    };
+
+    static MOVES_TO_GO = 25; // 남은 본 시간을 나눌 예상 남은 수
+    static TIME_MARGIN = 0.8; // 수당 시간 중 탐색에 쓰는 비율 (나머지는 워커 통신, 착수 처리 등의 여유)
+    static MIN_TIME = 50; // 수당 최소 탐색 시간
+
+    constructor({ type = "none", main = 0, increment = 0, byoyomi = 0, periods = 0 } = {}) {
+        if (!OmokClock.TYPES[type]) throw new Error(`Unknown time control: ${type}`);
+        this.type = type;
+        this.main = main;
+        this.increment = type === "fischer" ? increment : 0;
+        this.byoyomi = type === "byoyomi" ? byoyomi : 0;
+        this.periods = type === "byoyomi" ? periods : 0;
+        this.remaining = [0, main, main]; // 선수별 남은 본 시간 (1 = 흑, 2 = 백)
+        this.periodsLeft = [0, this.periods, this.periods]; // 선수별 남은 초읽기 횟수
+        this.running = 0; // 시계가 가는 선수 (0이면 멈춤)
+        this.startedAt = 0;
+    }
+
+    get enabled() {
+        return this.type !== "none";
+    }
+
+    // 수당 탐색 시간(ms) - 남은 본 시간의 1/MOVES_TO_GO에 증분과 초읽기를 더하되 이번 수에 쓸 수 있는 시간은 넘지 않음
+    // clock이 없으면 fallback (엔진 자기 설정)
+    static budget(clock, fallback = Infinity) {
+        if (!clock) return fallback;
+        const { time = 0, increment = 0, byoyomi = 0, periods = 0 } = clock;
+        const reserve = periods > 0 ? byoyomi : 0; // 초읽기는 수마다 다시 채워짐
+        const share = time / OmokClock.MOVES_TO_GO + increment + reserve;
+        const available = time + reserve;
+        return Math.max(OmokClock.MIN_TIME, Math.floor(Math.min(share, available) * OmokClock.TIME_MARGIN));
+    }
+
+    // "4:59", 10초 미만은 "9.8"
+    static format(ms) {
+        const t = Math.max(0, ms);
+        if (t < 10000) return (Math.floor(t / 100) / 10).toFixed(1);
+        const seconds = Math.ceil(t / 1000);
+        const h = Math.floor(seconds / 3600);
+        const m = Math.floor(seconds / 60) % 60;
+        const s = String(seconds % 60).padStart(2, "0");
+        return h > 0 ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+    }
+
+    // player의 지금 시간 → { time, periods, period, flagged }
+    //   time: 남은 본 시간, periods: 남은 초읽기 횟수, period: 지금 초읽기에서 남은 시간 (초읽기 중이 아니면 0)
+    status(player, now = Date.now()) {
+        const spent = this.running === player ? now - this.startedAt : 0;
+        let time = this.remaining[player] - spent;
+        let periods = this.periodsLeft[player];
+        let period = 0;
+        if (time <= 0 && this.byoyomi > 0) {
+            const over = -time;
+            periods -= Math.floor(over / this.byoyomi);
+            period = periods > 0 ? this.byoyomi - over % this.byoyomi : 0;
+            periods = Math.max(0, periods);
+            time = 0;
+        }
+        const flagged = this.enabled && (this.byoyomi > 0 ? time <= 0 && periods === 0 : time <= 0);
+        return { time: Math.max(0, time), periods, period, flagged };
+    }
+
+    flagged(player, now = Date.now()) {
+        return this.status(player, now).flagged;
+    }
+
+    // 엔진에 줄 시간 정보 (시간 제한이 없으면 null)
+    engineTime(player, now = Date.now()) {
+        if (!this.enabled) return null;
+        const { time, periods } = this.status(player, now);
+        return { time, increment: this.increment, byoyomi: this.byoyomi, periods };
+    }
+
+    // player의 시계를 시작 (가던 시계는 시간만 정산하고 증분 없이 멈춤)
+    start(player, now = Date.now()) {
+        this.pause(now);
+        this.running = player;
+        this.startedAt = now;
+    }
+
+    // 가던 시계를 멈춤 - 쓴 시간만 정산
+    pause(now = Date.now()) {
+        if (!this.running) return;
+        const { time, periods } = this.status(this.running, now);
+        this.remaining[this.running] = time;
+        this.periodsLeft[this.running] = periods;
+        this.running = 0;
+    }
+
+    // 착수 - 가던 쪽의 시간을 정산하고 증분을 더한 뒤 멈춤 (시간을 넘겼으면 false)
+    press(now = Date.now()) {
+        const player = this.running;
+        if (!player) return true;
+        const flagged = this.flagged(player, now);
+        this.pause(now);
+        if (flagged) return false;
+        this.remaining[player] += this.increment;
+        return true;
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OmokClock;
+}
@@ -0,0 +1,89 @@
+// 대국 시계 테스트 - 실행: node --test
+// 시각(now)을 직접 넘겨서 실제 시간을 기다리지 않는다
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const OmokClock = require('./omok_clock.js');
+
+test("알 수 없는 방식은 Error, none은 시간 제한 없음", () => {
+    assert.throws(() => new OmokClock({ type: "hourglass" }), /Unknown time control/);
+    const clock = new OmokClock();
+    assert.equal(clock.enabled, false);
+    assert.equal(clock.engineTime(1), null);
+    clock.start(1, 0);
+    assert.equal(clock.flagged(1, 1e9), false);
+});
+
+test("서든데스: 자기 차례에만 줄고 다 쓰면 시간패", () => {
+    const clock = new OmokClock({ type: "sudden", main: 10000 });
+    clock.start(1, 0);
+    assert.equal(clock.status(1, 4000).time, 6000);
+    assert.equal(clock.status(2, 4000).time, 10000);
+    assert.equal(clock.press(4000), true);
+    assert.equal(clock.remaining[1], 6000);
+
+    clock.start(2, 4000);
+    assert.equal(clock.status(1, 9000).time, 6000, "상대 차례에는 그대로");
+    assert.equal(clock.flagged(2, 13999), false);
+    assert.equal(clock.flagged(2, 14000), true);
+    assert.equal(clock.press(14000), false);
+});
+
+test("피셔: 착수마다 증분, 시간을 넘긴 수에는 증분 없음", () => {
+    const clock = new OmokClock({ type: "fischer", main: 5000, increment: 2000 });
+    clock.start(1, 0);
+    assert.equal(clock.press(3000), true);
+    assert.equal(clock.remaining[1], 4000);
+
+    clock.start(1, 10000);
+    assert.equal(clock.press(14500), false);
+    assert.equal(clock.remaining[1], 0);
+});
+
+test("초읽기: 본 시간 뒤에는 수마다 byoyomi, 넘길 때마다 횟수가 줄고 다 쓰면 시간패", () => {
+    const clock = new OmokClock({ type: "byoyomi", main: 1000, byoyomi: 5000, periods: 3 });
+    clock.start(1, 0);
+    assert.deepEqual(clock.status(1, 500), { time: 500, periods: 3, period: 0, flagged: false });
+    assert.deepEqual(clock.status(1, 3000), { time: 0, periods: 3, period: 3000, flagged: false });
+    assert.deepEqual(clock.status(1, 7000), { time: 0, periods: 2, period: 4000, flagged: false });
+
+    // 초읽기 안에 두면 횟수는 그대로, 다음 수에서 초읽기가 다시 채워짐
+    assert.equal(clock.press(7000), true);
+    assert.equal(clock.periodsLeft[1], 2);
+    clock.start(1, 10000);
+    assert.equal(clock.status(1, 14000).period, 1000);
+    assert.equal(clock.flagged(1, 19999), false);
+    assert.equal(clock.flagged(1, 20000), true);
+});
+
+test("pause는 쓴 시간만 정산하고 증분은 주지 않음", () => {
+    const clock = new OmokClock({ type: "fischer", main: 5000, increment: 2000 });
+    clock.start(2, 0);
+    clock.pause(1500);
+    assert.equal(clock.running, 0);
+    assert.equal(clock.remaining[2], 3500);
+    clock.pause(9000);
+    assert.equal(clock.remaining[2], 3500);
+});
+
+test("엔진에 주는 시간 정보와 수당 예산", () => {
+    const clock = new OmokClock({ type: "byoyomi", main: 60000, byoyomi: 10000, periods: 2 });
+    clock.start(1, 0);
+    assert.deepEqual(clock.engineTime(1, 20000), { time: 40000, increment: 0, byoyomi: 10000, periods: 2 });
+
+    assert.equal(OmokClock.budget(null, 3000), 3000);
+    // 남은 시간 / 25 + 증분, 그 80%
+    assert.equal(OmokClock.budget({ time: 50000, increment: 1000 }), Math.floor((2000 + 1000) * 0.8));
+    // 초읽기 중에는 초읽기 시간
+    assert.equal(OmokClock.budget({ time: 0, byoyomi: 10000, periods: 1 }), 8000);
+    // 남은 시간보다 많이 쓰지 않고, 최소 시간은 보장
+    assert.equal(OmokClock.budget({ time: 1000, increment: 5000 }), 800);
+    assert.equal(OmokClock.budget({ time: 0 }), OmokClock.MIN_TIME);
+});
+
+test("시간 표시", () => {
+    assert.equal(OmokClock.format(9850), "9.8");
+    assert.equal(OmokClock.format(-5), "0.0");
+    assert.equal(OmokClock.format(10000), "0:10");
+    assert.equal(OmokClock.format(299001), "5:00");
+    assert.equal(OmokClock.format(3723000), "1:02:03");
+});
@@ -1,15 +1,68 @@
 // Counter - Advanced Gomoku AI Algorithm by Claude
 // Features: Threat-Space Search, VCF/VCT, Advanced Pattern Recognition,
-// Zobrist Hashing, Iterative Deepening, Killer Moves
+// Zobrist Hashing, Iterative Deepening, Killer Moves, History Heuristic,
+// Principal Variation Search, Aspiration Windows
+
+// Node에서는 <script> 태그 대신 require로 필요한 모듈을 불러온다
+if (typeof module !== 'undefined' && module.exports) {
+    if (typeof OmokRules === 'undefined') globalThis.OmokRules = require('./omok_rules.js');
+    if (typeof OmokOpening === 'undefined') globalThis.OmokOpening = require('./omok_opening.js');
+    if (typeof OmokBoard === 'undefined') globalThis.OmokBoard = require('./omok_board.js');
+    if (typeof OmokTranspositionTable === 'undefined') globalThis.OmokTranspositionTable = require('./omok_transposition.js');
+    if (typeof OmokClock === 'undefined') globalThis.OmokClock = require('./omok_clock.js');
+}
 
 class OmokCounter {
-    constructor(boardSize = 15) {
+    // Engine registry info (omok_engines.js) - option labels are shown in the engine settings panel
+    static ENGINE = {
+        id: "counter",
+        name: "Counter AI",
+        version: "2.0",
+        options: {
+            timeLimit: { type: "integer", label: "수당 시간(ms)", default: 3000, min: 100, max: 60000, step: 100 },
+            maxDepth: { type: "integer", label: "최대 탐색 깊이", default: 6, min: 2, max: 12 },
+            vctDepth: { type: "integer", label: "VCF/VCT 최대 공격 수", default: 10, min: 1, max: 30 },
+            killers: { type: "boolean", label: "킬러 수", default: true },
+            history: { type: "boolean", label: "히스토리 휴리스틱", default: true },
+            pvs: { type: "boolean", label: "PVS", default: true },
+            aspirationWindow: { type: "integer", label: "애스피레이션 창 (0이면 끔)", default: 5000, min: 0, max: 1000000, step: 1000 },
+            book: { type: "boolean", label: "오프닝 북 사용", default: true },
+            symmetry: { type: "boolean", label: "대칭 국면 치환표 공유", default: true },
+            liveFourScore: { type: "integer", label: "열린 4 점수", default: 1000000, min: 0, step: 1000 },
+            deadFourScore: { type: "integer", label: "막힌 4 점수", default: 100000, min: 0, step: 1000 },
+            liveThreeScore: { type: "integer", label: "열린 3 점수", default: 10000, min: 0, step: 100 },
+            deadThreeScore: { type: "integer", label: "막힌 3 점수", default: 1000, min: 0, step: 100 },
+            liveTwoScore: { type: "integer", label: "열린 2 점수", default: 100, min: 0, step: 10 },
+            deadTwoScore: { type: "integer", label: "막힌 2 점수", default: 10, min: 0, step: 1 }
+        }
+    };
+
+    constructor(boardSize = 15, options = {}) {
         this.size = boardSize;
-        this.zobristTable = this.initZobrist();
-        this.transpositionTable = new Map();
-        this.killerMoves = [];
-        this.historyTable = {};
+        this.ruleSet = options.ruleSet || "renju";
+        this.rules = new OmokRules(boardSize, this.ruleSet);
+        this.timeLimit = options.timeLimit || 3000; // ms per move for iterative deepening
+        this.maxDepth = options.maxDepth || 6;
+        this.vctDepth = options.vctDepth || 10; // max attacker threats in a VCF/VCT sequence
+        this.vctTimeLimit = options.vctTimeLimit || 0; // ms per threat search (0 = a fifth of timeLimit, following changes to it)
+        this.transpositionTable = new OmokTranspositionTable(options.ttBits, options.symmetry ?? true); // keyed by the position's canonical Zobrist key (rotations/reflections share entries)
+        this.useKillers = options.killers ?? true; // killer moves in move ordering
+        this.useHistory = options.history ?? true; // history heuristic in move ordering
+        this.historyWeight = options.historyWeight ?? 100; // ordering bonus per history point
+        this.usePvs = options.pvs ?? true; // null-window search for moves after the first
+        this.aspirationWindow = options.aspirationWindow ?? 5000; // root window around the last score (0 = full window)
+        this.useBook = options.book ?? true; // play book moves without searching
+        this.openingBook = options.openingBook || null; // OmokBook (omok_book.js)
+        this.killerMoves = []; // killerMoves[ply] = [{ x, y }, { x, y }] - last moves that caused a cutoff at that ply
+        this.historyTable = new Array(boardSize * boardSize * 2).fill(0); // cutoff counts weighted by depth², per point and color
         this.nodeCount = 0;
+        this.deadline = Infinity; // search time limit (Date.now() value) of the running iterativeDeepening
+        this.aborted = false; // set when the search ran past the deadline - partial results are discarded
+        this.stopRequested = false; // set by stop() - the running search returns its best move so far
+        this.searchStats = { nodes: 0, researches: 0, cutoffs: 0, firstMoveCutoffs: 0 }; // of the last iterativeDeepening
+        this.threatNodes = 0; // nodes of the last VCF/VCT search
+        this.onProgress = null; // Search progress callback (used by the worker)
+        this.stopCheck = null; // Polled during the search (used by the worker) - returning true acts like stop()
 
         // Advanced pattern definitions with threat levels
         this.patterns = {
@@ -34,24 +87,15 @@ class OmokCounter {
             deadTwo: { patterns: ["XOO___", "___OOX", "XO_O__", "__O_OX"], score: 10, threat: 0 }
         };
 
+        // Pattern weight options (liveFourScore, ...) override the scores above - five stays the win score
+        for (const [name, pattern] of Object.entries(this.patterns)) {
+            if (name !== "five" && options[`${name}Score`] !== undefined) pattern.score = options[`${name}Score`];
+        }
+
         // Position weights (center is more valuable)
         this.positionWeights = this.initPositionWeights();
     }
 
-    initZobrist() {
-        const table = [];
-        for (let i = 0; i < this.size; i++) {
-            table[i] = [];
-            for (let j = 0; j < this.size; j++) {
-                table[i][j] = [];
-                for (let k = 0; k < 3; k++) {
-                    table[i][j][k] = Math.floor(Math.random() * 2147483647);
-                }
-            }
-        }
-        return table;
-    }
-
     initPositionWeights() {
         const weights = [];
         const center = Math.floor(this.size / 2);
@@ -65,18 +109,6 @@ class OmokCounter {
         return weights;
     }
 
-    getZobristHash(board) {
-        let hash = 0;
-        for (let y = 0; y < this.size; y++) {
-            for (let x = 0; x < this.size; x++) {
-                if (board[y][x] !== 0) {
-                    hash ^= this.zobristTable[y][x][board[y][x]];
-                }
-            }
-        }
-        return hash;
-    }
-
     // Advanced pattern matching with direction awareness
     evaluatePosition(board, player) {
         let score = 0;
@@ -107,6 +139,14 @@ class OmokCounter {
         return { score, threats };
     }
 
+    // Incremental board for search - only the lines through a placed stone are re-evaluated
+    createPosition(board) {
+        return new OmokBoard(board, {
+            evaluateStone: (b, x, y, dx, dy, player) => this.analyzeLine(b, x, y, dx, dy, player),
+            stoneScore: (x, y) => this.positionWeights[y][x] * 5
+        });
+    }
+
     analyzeLine(board, x, y, dx, dy, player) {
         let line = "";
         let positions = [];
@@ -134,8 +174,8 @@ class OmokCounter {
         let maxScore = 0;
         let maxThreat = 0;
 
-        // Check five
-        if (line.includes("OOOOO")) {
+        // Check five (only where the rule set counts it as a win - overlines, caro's both-ends block)
+        if (line.includes("OOOOO") && this.rules.isWinningLine(board, x, y, dx, dy, player)) {
             return { score: this.patterns.five.score, threat: this.patterns.five.threat, criticalPoint: null };
         }
 
@@ -208,78 +248,256 @@ class OmokCounter {
         return { score: maxScore, threat: maxThreat, criticalPoint };
     }
 
-    // VCF (Victory by Continuous Four) search
-    searchVCF(board, player, depth = 10) {
-        if (depth === 0) return null;
+    threatTimeLimit(timeLimit = this.timeLimit) {
+        return this.vctTimeLimit || Math.round(timeLimit / 5);
+    }
 
-        const moves = this.getCandidateMoves(board);
+    // VCF (Victory by Continuous Four) - threat-space search over fours only
+    // Returns { x, y, sequence } (first move + winning line) or null
+    searchVCF(board, player, depth = 10, timeLimit = this.threatTimeLimit()) {
+        const sequence = this.searchThreats(board, player, { maxDepth: depth, timeLimit, foursOnly: true });
+        return sequence ? { x: sequence[0].x, y: sequence[0].y, sequence } : null;
+    }
 
-        for (const [x, y] of moves) {
-            // 쌍삼 체크
-            if (this.checkDoubleThree(board, x, y, player)) {
-                continue;
-            }
+    // VCT (Victory by Continuous Threats) - fours and open threes
+    searchVCT(board, player, depth = this.vctDepth, timeLimit = this.threatTimeLimit()) {
+        const sequence = this.searchThreats(board, player, { maxDepth: depth, timeLimit, foursOnly: false });
+        return sequence ? { x: sequence[0].x, y: sequence[0].y, sequence } : null;
+    }
 
-            board[y][x] = player;
+    // Threat-space search: the attacker only plays threats (fours, and open threes unless foursOnly),
+    // the defender may answer with any move that kills the threat or with a counter-four.
+    // maxDepth counts attacker threats. Returns the winning sequence [{ x, y, player }, ...]
+    // ending with the five, or null if no win was proven within the limits.
+    searchThreats(board, attacker, { maxDepth = 10, timeLimit = 1000, foursOnly = false } = {}) {
+        this.threatNodes = 0;
+        // A pending four of the defender has to be blocked first - no threat sequence from here
+        if (this.findFivePoints(board, 3 - attacker).length > 0) return null;
+
+        const search = { deadline: Date.now() + timeLimit, foursOnly, nodes: 0, aborted: false };
+        const sequence = this.threatAttack(board, attacker, maxDepth, [], [], search);
+        this.threatNodes = search.nodes;
+        return sequence;
+    }
 
-            // Check if this creates a four
-            if (this.hasFour(board, x, y, player)) {
-                // Opponent must block
-                const forcedDefenses = this.findForcedDefenses(board, player);
+    // OR node: attacker to move. origins are the attacker stones whose threats are still pending,
+    // forcedBlocks the five points of a defender counter-four that must be blocked now
+    threatAttack(board, attacker, depth, origins, forcedBlocks, search) {
+        search.nodes++;
+        if (this.checkStop() || Date.now() > search.deadline) {
+            search.aborted = true;
+            return null;
+        }
 
-                if (forcedDefenses.length === 1) {
-                    // Only one defense, opponent is forced
-                    const [dx, dy] = forcedDefenses[0];
-                    board[dy][dx] = 3 - player;
+        // Finish with a five if a four was left open
+        for (const origin of origins) {
+            const [five] = this.fivePointsAround(board, origin.x, origin.y, attacker);
+            if (five) return [{ ...five, player: attacker }];
+        }
 
-                    // Continue searching
-                    const vcf = this.searchVCF(board, player, depth - 1);
-                    board[dy][dx] = 0;
+        // Answer a counter-four; the pending threats must survive the block
+        if (forcedBlocks.length > 0) {
+            if (forcedBlocks.length > 1) return null;
+            const block = forcedBlocks[0];
+            if (this.rules.isForbidden(board, block.x, block.y, attacker)) return null;
 
-                    if (vcf !== null || this.checkWin(board, x, y, player)) {
-                        board[y][x] = 0;
-                        return { x, y };
-                    }
-                } else if (forcedDefenses.length === 0) {
-                    // No defense possible, winning move
+            board[block.y][block.x] = attacker;
+            const line = this.threatDefend(board, attacker, depth, [block, ...origins], search);
+            board[block.y][block.x] = 0;
+            return line ? [{ ...block, player: attacker }, ...line] : null;
+        }
+
+        if (depth === 0) return null;
+
+        for (const move of this.getThreatMoves(board, attacker, search.foursOnly)) {
+            board[move.y][move.x] = attacker;
+            const line = move.level === 5
+                ? []
+                : this.threatDefend(board, attacker, depth - 1, [move, ...origins], search);
+            board[move.y][move.x] = 0;
+
+            if (line) return [{ x: move.x, y: move.y, player: attacker }, ...line];
+            if (search.aborted) return null;
+        }
+        return null;
+    }
+
+    // AND node: defender to move. Every legal defense has to lose for the threat to be a win.
+    threatDefend(board, attacker, depth, origins, search) {
+        const defender = 3 - attacker;
+        const { fives, threes } = this.pendingThreats(board, attacker, origins, search.foursOnly);
+        if (fives.length === 0 && threes.length === 0) return null; // the threat is gone
+
+        let replies;
+        if (fives.length > 0) {
+            // A four: only blocking the five point helps (two five points = double four / open four)
+            replies = fives.filter(p => !this.rules.isForbidden(board, p.x, p.y, defender));
+            if (replies.length === 0) return [{ ...fives[0], player: attacker }];
+        } else {
+            // An open three: a counter-four anywhere (strongest first, they refute fastest)
+            // or any nearby point that leaves no open four
+            replies = this.getThreatMoves(board, defender, true).map(({ x, y }) => ({ x, y }));
+            const seen = new Set(replies.map(r => r.y * this.size + r.x));
+            for (const { origin, dx, dy } of threes) {
+                for (let k = -5; k <= 5; k++) {
+                    const x = origin.x + k * dx, y = origin.y + k * dy;
+                    const key = y * this.size + x;
+                    if (!this.rules.inBoard(x, y) || board[y][x] !== 0 || seen.has(key)) continue;
+                    seen.add(key);
+                    if (this.rules.isForbidden(board, x, y, defender)) continue;
+
+                    board[y][x] = defender;
+                    const pending = this.pendingThreats(board, attacker, origins, false);
                     board[y][x] = 0;
-                    return { x, y };
+                    if (pending.fives.length === 0 && pending.threes.length === 0) replies.push({ x, y });
                 }
             }
+            if (replies.length === 0) {
+                // Nothing stops the three: the attacker just continues
+                return this.threatAttack(board, attacker, Math.max(depth, 1), origins, [], search);
+            }
+        }
 
-            board[y][x] = 0;
+        let mainLine = null;
+        for (const reply of replies) {
+            board[reply.y][reply.x] = defender;
+            const counter = this.fivePointsAround(board, reply.x, reply.y, defender);
+            const line = this.threatAttack(board, attacker, depth, origins, counter, search);
+            board[reply.y][reply.x] = 0;
+
+            if (!line) return null; // this defense holds
+            // Main line follows the defense that lasts longest
+            if (!mainLine || line.length + 1 > mainLine.length) {
+                mainLine = [{ x: reply.x, y: reply.y, player: defender }, ...line];
+            }
         }
+        return mainLine;
+    }
 
-        return null;
+    // Threats of the attacker still on the board along the lines through the origin stones
+    pendingThreats(board, attacker, origins, foursOnly) {
+        const fives = [];
+        const threes = [];
+        const seen = new Set();
+        for (const origin of origins) {
+            if (board[origin.y][origin.x] !== attacker) continue;
+            for (const [dx, dy] of this.rules.dirs) {
+                const points = this.fivePointsInLine(board, origin.x, origin.y, dx, dy, attacker);
+                for (const p of points) {
+                    const key = p.y * this.size + p.x;
+                    if (!seen.has(key)) {
+                        seen.add(key);
+                        fives.push(p);
+                    }
+                }
+                if (points.length === 0 && !foursOnly && this.hasOpenFourPoint(board, origin.x, origin.y, dx, dy, attacker)) {
+                    threes.push({ origin, dx, dy });
+                }
+            }
+        }
+        return { fives, threes };
     }
 
-    hasFour(board, x, y, player) {
-        const dirs = [[1,0], [0,1], [1,1], [1,-1]];
+    // Empty points on the line through (x, y) where player would complete a winning five
+    fivePointsInLine(board, x, y, dx, dy, player) {
+        const points = [];
+        for (let k = -4; k <= 4; k++) {
+            const nx = x + k * dx, ny = y + k * dy;
+            if (k === 0 || !this.rules.inBoard(nx, ny) || board[ny][nx] !== 0) continue;
+            board[ny][nx] = player;
+            if (this.rules.isWinningLine(board, nx, ny, dx, dy, player)) points.push({ x: nx, y: ny });
+            board[ny][nx] = 0;
+        }
+        return points;
+    }
 
-        for (const [dx, dy] of dirs) {
-            let count = 1;
+    fivePointsAround(board, x, y, player) {
+        const points = [];
+        for (const [dx, dy] of this.rules.dirs) {
+            for (const p of this.fivePointsInLine(board, x, y, dx, dy, player)) {
+                if (!points.some(q => q.x === p.x && q.y === p.y)) points.push(p);
+            }
+        }
+        return points;
+    }
 
-            // Count forward
-            let nx = x + dx, ny = y + dy;
-            while (nx >= 0 && ny >= 0 && nx < this.size && ny < this.size && board[ny][nx] === player) {
-                count++;
-                nx += dx;
-                ny += dy;
+    // All five points of player on the board (only where four stones share a line window)
+    findFivePoints(board, player) {
+        const points = [];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (board[y][x] !== 0 || this.lineStones(board, x, y, player) < 4) continue;
+                board[y][x] = player;
+                if (this.checkWin(board, x, y, player)) points.push({ x, y });
+                board[y][x] = 0;
             }
+        }
+        return points;
+    }
 
-            // Count backward
-            nx = x - dx;
-            ny = y - dy;
-            while (nx >= 0 && ny >= 0 && nx < this.size && ny < this.size && board[ny][nx] === player) {
-                count++;
-                nx -= dx;
-                ny -= dy;
+    // Can the attacker turn this line into a straight four (two five points) with one legal move?
+    hasOpenFourPoint(board, x, y, dx, dy, player) {
+        for (let k = -4; k <= 4; k++) {
+            const nx = x + k * dx, ny = y + k * dy;
+            if (k === 0 || !this.rules.inBoard(nx, ny) || board[ny][nx] !== 0) continue;
+            if (this.rules.isForbidden(board, nx, ny, player)) continue;
+            board[ny][nx] = player;
+            const open = this.fivePointsInLine(board, nx, ny, dx, dy, player).length >= 2;
+            board[ny][nx] = 0;
+            if (open) return true;
+        }
+        return false;
+    }
+
+    // Most own stones in any single direction within four points of (x, y)
+    lineStones(board, x, y, player) {
+        let best = 0;
+        for (const [dx, dy] of this.rules.dirs) {
+            let stones = 0;
+            for (let k = -4; k <= 4; k++) {
+                const nx = x + k * dx, ny = y + k * dy;
+                if (k !== 0 && this.rules.inBoard(nx, ny) && board[ny][nx] === player) stones++;
             }
+            best = Math.max(best, stones);
+        }
+        return best;
+    }
+
+    // Threat moves of player: level 5 = five, 4 = four (4.5 with two five points), 3 = open three.
+    // Only points with enough own stones on one line are examined, strongest threats first.
+    getThreatMoves(board, player, foursOnly = false) {
+        const minStones = foursOnly ? 3 : 2;
+        const moves = [];
 
-            if (count === 4) return true;
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (board[y][x] !== 0 || this.lineStones(board, x, y, player) < minStones) continue;
+                if (this.rules.isForbidden(board, x, y, player)) continue;
+
+                board[y][x] = player;
+                let level = 0;
+                if (this.checkWin(board, x, y, player)) {
+                    level = 5;
+                } else {
+                    const fives = this.fivePointsAround(board, x, y, player).length;
+                    if (fives >= 2) level = 4.5;
+                    else if (fives === 1) level = 4;
+                    else if (!foursOnly && this.rules.dirs.some(([dx, dy]) => this.hasOpenFourPoint(board, x, y, dx, dy, player))) {
+                        level = 3;
+                    }
+                }
+                board[y][x] = 0;
+
+                if (level > 0) moves.push({ x, y, level });
+            }
         }
 
-        return false;
+        return moves.sort((a, b) => b.level - a.level || this.positionWeights[b.y][b.x] - this.positionWeights[a.y][a.x]);
+    }
+
+    // 한 수 더 두면 룰셋상 승리가 되는 4인지 (떨어진 4 포함)
+    hasFour(board, x, y, player) {
+        return this.rules.makesFour(board, x, y, player);
     }
 
     findForcedDefenses(board, attacker) {
@@ -288,132 +506,213 @@ class OmokCounter {
 
         for (const [x, y] of moves) {
             board[y][x] = attacker;
-            if (this.checkWin(board, x, y, attacker)) {
+            const wins = this.checkWin(board, x, y, attacker);
+            board[y][x] = 0;
+
+            // 수비 측의 금수 자리로는 막을 수 없음
+            if (wins && !this.rules.isForbidden(board, x, y, 3 - attacker)) {
                 defenses.push([x, y]);
             }
-            board[y][x] = 0;
         }
 
         return defenses;
     }
 
     // Enhanced minimax with threat-based pruning
-    minimaxWithThreats(board, depth, alpha, beta, maximizingPlayer, lastMove = null, aiPlayer = 2) {
+    // Returns { score, pv } where pv is the expected line [{ x, y, player }, ...]
+    // position: incremental board from createPosition (evaluation reads its cached line scores)
+    // Moves after the first get a null window first (PVS) and are re-searched only if they beat it
+    minimaxWithThreats(position, depth, alpha, beta, maximizingPlayer, lastMove = null, aiPlayer = 2) {
         this.nodeCount++;
-
-        const hash = this.getZobristHash(board);
-        const ttEntry = this.transpositionTable.get(hash);
-        if (ttEntry && ttEntry.depth >= depth) {
-            return ttEntry.value;
+        if ((this.nodeCount & 31) === 0 && (this.checkStop() || Date.now() > this.deadline)) this.aborted = true;
+        if (this.aborted) return { score: 0, pv: [] };
+        const board = position.board;
+        const ply = position.history.length; // moves played since the search root
+
+        // Scores are from aiPlayer's side, so the key also tells whose search and whose turn it is
+        const variant = ((aiPlayer || 2) - 1) * 2 + (maximizingPlayer ? 1 : 0);
+        const ttEntry = this.transpositionTable.probe(position, variant);
+        if (OmokTranspositionTable.usable(ttEntry, depth, alpha, beta)) {
+            return { score: ttEntry.value, pv: ttEntry.pv };
         }
+        const alphaOrig = alpha;
+        const betaOrig = beta;
 
-        // Terminal node checks
+        // Terminal node checks (a finished game is exact at any depth)
         if (lastMove && this.checkWin(board, lastMove.x, lastMove.y, lastMove.player)) {
             const value = maximizingPlayer ? -10000000 : 10000000;
-            this.transpositionTable.set(hash, { value, depth });
-            return value;
+            this.transpositionTable.store(position, variant, { depth: Infinity, flag: OmokTranspositionTable.EXACT, value });
+            return { score: value, pv: [] };
         }
 
         if (depth === 0) {
-            const aiEval = this.evaluatePosition(board, aiPlayer || 2);
-            const oppEval = this.evaluatePosition(board, 3 - (aiPlayer || 2));
-            const value = aiEval.score - oppEval.score;
-            this.transpositionTable.set(hash, { value, depth });
-            return value;
+            const value = position.balance(aiPlayer || 2);
+            this.transpositionTable.store(position, variant, { depth, flag: OmokTranspositionTable.EXACT, value });
+            return { score: value, pv: [] };
         }
 
         // Check for immediate threats
-        const opponentEval = this.evaluatePosition(board, maximizingPlayer ? (3 - (aiPlayer || 2)) : (aiPlayer || 2));
+        const opponentThreats = position.threats(maximizingPlayer ? (3 - (aiPlayer || 2)) : (aiPlayer || 2));
 
         // If opponent has live four, must defend
-        const urgentThreats = opponentEval.threats.filter(t => t.level >= 3);
+        const urgentThreats = opponentThreats.filter(t => t.level >= 3);
+        const player = maximizingPlayer ? (aiPlayer || 2) : (3 - (aiPlayer || 2));
         let moves;
 
         if (urgentThreats.length > 0) {
-            // Only consider defensive moves
+            // Our own five comes before any block
+            const [five] = this.findFivePoints(board, player);
+            if (five) {
+                const value = maximizingPlayer ? 10000000 : -10000000;
+                const pv = [{ x: five.x, y: five.y, player }];
+                this.transpositionTable.store(position, variant, { depth: Infinity, flag: OmokTranspositionTable.EXACT, value, move: five, pv });
+                return { score: value, pv };
+            }
+
+            // Only consider defensive moves (a block on a forbidden point can't be played)
             moves = urgentThreats.map(t => [t.x, t.y]).filter(([x, y]) =>
-                x >= 0 && y >= 0 && x < this.size && y < this.size && board[y][x] === 0
+                x >= 0 && y >= 0 && x < this.size && y < this.size && board[y][x] === 0 &&
+                !this.rules.isForbidden(board, x, y, player)
             );
+            if (moves.length === 0) {
+                // Every block is forbidden - the opponent completes the five next move
+                const value = maximizingPlayer ? -10000000 : 10000000;
+                this.transpositionTable.store(position, variant, { depth, flag: OmokTranspositionTable.EXACT, value });
+                return { score: value, pv: [] };
+            }
         } else {
-            moves = this.getOrderedMoves(board, maximizingPlayer ? (aiPlayer || 2) : (3 - (aiPlayer || 2)));
+            moves = this.getOrderedMoves(position, player, ply);
         }
+        // Best move from an earlier search of this position goes first
+        OmokTranspositionTable.promote(moves, ttEntry && ttEntry.move);
 
         let bestValue = maximizingPlayer ? -Infinity : Infinity;
+        let bestMove = null;
+        let bestPv = [];
 
-        for (const [x, y] of moves) {
-            board[y][x] = maximizingPlayer ? (aiPlayer || 2) : (3 - (aiPlayer || 2));
-
-            const value = this.minimaxWithThreats(
-                board,
-                depth - 1,
-                alpha,
-                beta,
-                !maximizingPlayer,
-                { x, y, player: maximizingPlayer ? (aiPlayer || 2) : (3 - (aiPlayer || 2)) },
-                aiPlayer
-            );
+        for (let i = 0; i < moves.length; i++) {
+            const [x, y] = moves[i];
+            const move = { x, y, player };
+            position.place(x, y, player);
 
-            board[y][x] = 0;
+            let result;
+            if (i === 0 || !this.usePvs || !Number.isFinite(maximizingPlayer ? alpha : beta)) {
+                result = this.minimaxWithThreats(position, depth - 1, alpha, beta, !maximizingPlayer, move, aiPlayer);
+            } else {
+                const [low, high] = maximizingPlayer ? [alpha, alpha + 1] : [beta - 1, beta];
+                result = this.minimaxWithThreats(position, depth - 1, low, high, !maximizingPlayer, move, aiPlayer);
+                if (result.score > alpha && result.score < beta) {
+                    this.searchStats.researches++;
+                    result = this.minimaxWithThreats(position, depth - 1, alpha, beta, !maximizingPlayer, move, aiPlayer);
+                }
+            }
+            const { score: value, pv } = result;
+
+            position.undo();
+            if (this.aborted) return { score: 0, pv: [] };
 
+            if (maximizingPlayer ? value > bestValue : value < bestValue) {
+                bestValue = value;
+                bestMove = { x, y };
+                bestPv = [{ x, y, player }, ...pv];
+            }
             if (maximizingPlayer) {
-                bestValue = Math.max(bestValue, value);
                 alpha = Math.max(alpha, value);
             } else {
-                bestValue = Math.min(bestValue, value);
                 beta = Math.min(beta, value);
             }
 
             if (beta <= alpha) {
-                break; // Alpha-beta pruning
+                // Alpha-beta pruning
+                this.searchStats.cutoffs++;
+                if (i === 0) this.searchStats.firstMoveCutoffs++;
+                this.recordCutoff(x, y, player, depth, ply);
+                break;
             }
         }
 
-        this.transpositionTable.set(hash, { value: bestValue, depth });
-        return bestValue;
+        this.transpositionTable.store(position, variant, {
+            depth,
+            flag: OmokTranspositionTable.flagFor(bestValue, alphaOrig, betaOrig),
+            value: bestValue,
+            move: bestMove,
+            pv: bestPv
+        });
+        return { score: bestValue, pv: bestPv };
+    }
+
+    // Remember a move that caused a cutoff: killers for sibling nodes at the same ply,
+    // history for every later node where the same point is a candidate
+    recordCutoff(x, y, player, depth, ply) {
+        if (this.useKillers) {
+            const killers = this.killerMoves[ply] || (this.killerMoves[ply] = []);
+            if (!killers.some(k => k.x === x && k.y === y)) {
+                killers.unshift({ x, y });
+                if (killers.length > 2) killers.pop();
+            }
+        }
+        if (this.useHistory) {
+            this.historyTable[(y * this.size + x) * 2 + player - 1] += depth * depth;
+        }
     }
 
-    getOrderedMoves(board, player) {
+    // Candidates for player, best first: the top 15 by static evaluation plus history score,
+    // with this ply's killer moves moved up
+    getOrderedMoves(position, player, ply = position.history.length) {
+        const board = position.board;
         const moves = this.getCandidateMoves(board);
         const scoredMoves = [];
 
         for (const [x, y] of moves) {
-            // 쌍삼 체크 - 금지수는 제외
-            if (this.checkDoubleThree(board, x, y, player)) {
+            // 금수 체크 - 금지수는 제외
+            if (this.rules.isForbidden(board, x, y, player)) {
                 continue;
             }
 
-            board[y][x] = player;
+            position.place(x, y, player);
 
             let score = 0;
 
             // Quick win check
             if (this.checkWin(board, x, y, player)) {
-                board[y][x] = 0;
+                position.undo();
                 return [[x, y]]; // Return immediately
             }
 
             // Evaluate position
-            const evalResult = this.evaluatePosition(board, player);
-            score = evalResult.score;
+            score = position.score(player);
 
             // Add position weight
             score += this.positionWeights[y][x] * 10;
 
             // Check if this move blocks opponent threat
-            board[y][x] = 0;
-            board[y][x] = 3 - player;
-            const opponentEval = this.evaluatePosition(board, 3 - player);
-            if (opponentEval.score > 10000) {
+            position.undo();
+            position.place(x, y, 3 - player);
+            if (position.score(3 - player) > 10000) {
                 score += 50000; // Defensive bonus
             }
 
-            board[y][x] = 0;
+            position.undo();
             scoredMoves.push({ x, y, score });
         }
 
-        // Sort by score and return top moves
+        // Sort by score and keep the top moves
         scoredMoves.sort((a, b) => b.score - a.score);
-        return scoredMoves.slice(0, Math.min(15, scoredMoves.length)).map(m => [m.x, m.y]);
+        const top = scoredMoves.slice(0, Math.min(15, scoredMoves.length));
+        if (this.useHistory) {
+            for (const m of top) m.score += this.historyTable[(m.y * this.size + m.x) * 2 + player - 1] * this.historyWeight;
+            top.sort((a, b) => b.score - a.score);
+        }
+        const ordered = top.map(m => [m.x, m.y]);
+        // Killers go right after the statically best move - that one is usually a threat or a block
+        // the killer from a sibling position knows nothing about
+        if (this.useKillers && this.killerMoves[ply]) {
+            for (const killer of [...this.killerMoves[ply]].reverse()) {
+                const index = ordered.findIndex(([x, y]) => x === killer.x && y === killer.y);
+                if (index > 1) ordered.splice(1, 0, ...ordered.splice(index, 1));
+            }
+        }
+        return ordered;
     }
 
     getCandidateMoves(board) {
@@ -459,99 +758,188 @@ class OmokCounter {
     }
 
     checkWin(board, x, y, player) {
-        const dirs = [[1,0], [0,1], [1,1], [1,-1]];
-
-        for (const [dx, dy] of dirs) {
-            let count = 1;
-
-            let nx = x + dx, ny = y + dy;
-            while (nx >= 0 && ny >= 0 && nx < this.size && ny < this.size && board[ny][nx] === player) {
-                count++;
-                nx += dx;
-                ny += dy;
-            }
+        return this.rules.checkWin(board, x, y, player);
+    }
 
-            nx = x - dx;
-            ny = y - dy;
-            while (nx >= 0 && ny >= 0 && nx < this.size && ny < this.size && board[ny][nx] === player) {
-                count++;
-                nx -= dx;
-                ny -= dy;
-            }
+    // Iterative deepening with time control
+    // Returns { bestMove, score, pv, depth, candidates } from the deepest depth searched:
+    // candidates holds every root move of the last fully searched depth, best first.
+    // Only the top multiPv candidates have exact scores; the rest are upper bounds (PVS).
+    iterativeDeepening(board, maxDepth = 6, timeLimit = 5000, playerNumber = 2, multiPv = 1) {
+        const startTime = Date.now();
+        this.deadline = this.stopRequested ? 0 : startTime + timeLimit * 0.9;
+        this.aborted = false;
+        const position = this.createPosition(board);
+        this.transpositionTable.newSearch();
+        this.killerMoves = [];
+        this.historyTable = this.historyTable.map(v => v >> 1); // age the previous search's counts
+        this.searchStats = { nodes: 0, researches: 0, cutoffs: 0, firstMoveCutoffs: 0 };
 
-            if (count >= 5) return true;
-        }
+        let best = { bestMove: null, score: -Infinity, pv: [], depth: 0, candidates: [] };
+        let moves = this.getOrderedMoves(position, playerNumber);
+        const scores = []; // scores[depth] of each completed depth
 
-        return false;
-    }
+        for (let depth = 2; depth <= maxDepth; depth++) {
+            if (Date.now() - startTime > timeLimit * 0.8 || this.stopRequested) break;
 
-    // 쌍삼 체크 함수
-    checkDoubleThree(board, x, y, player) {
-        board[y][x] = player; // 임시 착수
-        let count = 0;
-        const dirs = [[1,0], [0,1], [1,1], [1,-1]];
+            this.nodeCount = 0;
+            // Aspiration window around the score of depth - 2: scores swing between odd and even depths
+            // (whoever moves last gets the last threat), so the same parity is the better guess.
+            // A score outside the window is re-searched with a full window.
+            let alpha = -Infinity;
+            let beta = Infinity;
+            const guess = scores[depth - 2];
+            const aspiration = this.aspirationWindow > 0 && Math.abs(guess) < this.patterns.five.score / 2;
+            if (aspiration) {
+                alpha = guess - this.aspirationWindow;
+                beta = guess + this.aspirationWindow;
+            }
 
-        for (const [dx, dy] of dirs) {
-            let line = "";
-            // 충분히 넓게 잡기 (좌우 -4 ~ +4, 총 9칸)
-            for (let k = -4; k <= 4; k++) {
-                let nx = x + k*dx, ny = y + k*dy;
-                if (nx < 0 || ny < 0 || nx >= this.size || ny >= this.size) {
-                    line += "X"; // 범위 밖
-                } else if (board[ny][nx] === player) {
-                    line += "O";
-                } else if (board[ny][nx] === 0) {
-                    line += "_";
-                } else {
-                    line += "X"; // 상대 돌
+            let search = this.searchRoot(position, depth, alpha, beta, moves, playerNumber, multiPv);
+            if (aspiration && search.complete && (search.score <= alpha || search.score >= beta)) {
+                this.searchStats.researches++;
+                alpha = -Infinity;
+                beta = Infinity;
+                search = this.searchRoot(position, depth, alpha, beta, moves, playerNumber, multiPv);
+            }
+            this.searchStats.nodes += this.nodeCount;
+
+            if (search.complete) {
+                const candidates = search.scored.sort((a, b) => b.score - a.score);
+                best = { bestMove: { x: candidates[0].x, y: candidates[0].y }, score: candidates[0].score, pv: candidates[0].pv, depth, candidates };
+                scores[depth] = best.score;
+                // Next depth searches the root moves in this depth's order
+                moves = candidates.map(c => [c.x, c.y]);
+            } else {
+                // Out of time: the last best move was searched first, so the best score inside the window is exact
+                const partial = search.scored.reduce((a, b) => (b.score > a.score ? b : a), search.scored[0]);
+                if (partial && (!best.bestMove || (partial.score > alpha && partial.score < beta))) {
+                    best = { ...best, bestMove: { x: partial.x, y: partial.y }, score: partial.score, pv: partial.pv };
                 }
             }
 
-            // 5칸 단위 substring으로 검사
-            for (let i = 0; i <= line.length - 5; i++) {
-                if (line.substring(i, i+5) === "_OOO_") {
-                    count++;
-                }
+            // 깊이별 진행 상황 보고 (워커에서 UI로 전달)
+            if (this.onProgress) {
+                this.onProgress({
+                    depth,
+                    bestMove: best.bestMove,
+                    score: best.score,
+                    nodes: this.nodeCount,
+                    elapsed: Date.now() - startTime
+                });
             }
+            if (!search.complete) break;
         }
 
-        board[y][x] = 0; // 되돌리기
-        return count >= 2; // 쌍삼이면 true
+        // Stopped before any root move was searched: the statically best move
+        if (!best.bestMove && moves.length > 0) {
+            best = { ...best, bestMove: { x: moves[0][0], y: moves[0][1] } };
+        }
+        return best;
     }
 
-    // Iterative deepening with time control
-    iterativeDeepening(board, maxDepth = 6, timeLimit = 5000, playerNumber = 2) {
-        const startTime = Date.now();
-        let bestMove = null;
+    // One iteration at the root: the first multiPv moves get the (alpha, beta) window,
+    // the rest a null window at the multiPv-th best score so far
+    // Returns { scored: [{ x, y, score, pv }] in search order, score: best score, complete }
+    searchRoot(position, depth, alpha, beta, moves, playerNumber, multiPv) {
+        const scored = [];
         let bestScore = -Infinity;
 
-        for (let depth = 2; depth <= maxDepth; depth++) {
-            if (Date.now() - startTime > timeLimit * 0.8) break;
-
-            this.nodeCount = 0;
-            const moves = this.getOrderedMoves(board, playerNumber);
-
-            for (const [x, y] of moves) {
-                if (Date.now() - startTime > timeLimit * 0.9) break;
+        for (const [x, y] of moves) {
+            if (Date.now() > this.deadline) this.aborted = true;
+            if (this.aborted) break;
 
-                board[y][x] = playerNumber;
-                const score = this.minimaxWithThreats(board, depth - 1, -Infinity, Infinity, false, {x, y, player: playerNumber}, playerNumber);
-                board[y][x] = 0;
+            const move = { x, y, player: playerNumber };
+            let floor = alpha;
+            if (scored.length >= multiPv) {
+                floor = Math.max(alpha, scored.map(s => s.score).sort((a, b) => b - a)[multiPv - 1]);
+            }
 
-                if (score > bestScore) {
-                    bestScore = score;
-                    bestMove = {x, y};
+            position.place(x, y, playerNumber);
+            let result;
+            if (scored.length < multiPv || !this.usePvs || !Number.isFinite(floor)) {
+                result = this.minimaxWithThreats(position, depth - 1, floor, beta, false, move, playerNumber);
+            } else {
+                result = this.minimaxWithThreats(position, depth - 1, floor, floor + 1, false, move, playerNumber);
+                if (result.score > floor && result.score < beta) {
+                    this.searchStats.researches++;
+                    result = this.minimaxWithThreats(position, depth - 1, floor, beta, false, move, playerNumber);
                 }
             }
+            position.undo();
+            if (this.aborted) break; // this move's search was cut off
 
-            // 로그 비활성화
+            scored.push({ x, y, score: result.score, pv: [move, ...result.pv] });
+            bestScore = Math.max(bestScore, result.score);
+            if (bestScore >= beta) break; // fail high - the caller widens the window
         }
 
-        return bestMove;
+        return { scored, score: bestScore, complete: !this.aborted && (scored.length === moves.length || bestScore >= beta) };
+    }
+
+    // VCF, then VCT for player - reports the sequence through onProgress
+    // Returns { x, y, sequence, type: "VCF" | "VCT" } or null
+    findThreatWin(board, playerNumber, startTime = Date.now(), timeLimit = this.timeLimit) {
+        let result = this.searchVCF(board, playerNumber, this.vctDepth, this.threatTimeLimit(timeLimit));
+        let nodes = this.threatNodes;
+        if (result) {
+            result.type = "VCF";
+        } else {
+            result = this.searchVCT(board, playerNumber, this.vctDepth, this.threatTimeLimit(timeLimit));
+            nodes += this.threatNodes;
+            if (result) result.type = "VCT";
+        }
+
+        if (this.onProgress) {
+            this.onProgress({
+                depth: result ? result.type : "VCT",
+                bestMove: result && { x: result.x, y: result.y },
+                score: result ? this.patterns.five.score : 0,
+                nodes,
+                elapsed: Date.now() - startTime
+            });
+        }
+        return result;
+    }
+
+    // Position analysis for the side to move: score, top candidates and expected line
+    // balance squashes the score into -1 (losing) .. 1 (winning) for the evaluation bar
+    // A proven VCF/VCT replaces the search line with the winning sequence
+    analyze(board, playerNumber = 2, topN = 5) {
+        const startTime = Date.now();
+        this.stopRequested = false;
+        const threatWin = this.findThreatWin(board, playerNumber, startTime);
+        const result = this.iterativeDeepening(board, this.maxDepth, this.timeLimit, playerNumber, topN);
+        let score = result.bestMove
+            ? result.score
+            : this.evaluatePosition(board, playerNumber).score - this.evaluatePosition(board, 3 - playerNumber).score;
+        if (threatWin) score = Math.max(score, this.patterns.five.score);
+        return {
+            player: playerNumber,
+            depth: threatWin ? threatWin.type : result.depth,
+            score,
+            balance: Math.tanh(score / 50000),
+            pv: threatWin ? threatWin.sequence : result.pv,
+            candidates: result.candidates.slice(0, topN),
+            elapsed: Date.now() - startTime
+        };
+    }
+
+    // Opening book move (null when the book is off or the position is not in it)
+    bookMove(board, playerNumber) {
+        return this.useBook && this.openingBook ? this.openingBook.getMove(board, playerNumber, this.rules) : null;
     }
 
     // Main AI move function
-    getMove(board, playerNumber = 2) {
+    // clock: the side to move's game clock { time, increment, byoyomi, periods } - replaces timeLimit with a per-move budget
+    getMove(board, playerNumber = 2, clock = null) {
+        this.stopRequested = false;
+        const timeLimit = OmokClock.budget(clock, this.timeLimit);
+        const bookMove = this.bookMove(board, playerNumber);
+        if (bookMove) {
+            return bookMove;
+        }
+
         // 첫 수는 중앙에
         const center = Math.floor(this.size / 2);
         let isEmpty = true;
@@ -568,17 +956,13 @@ class OmokCounter {
             return { x: center, y: center };
         }
 
-        // Clear transposition table if it's too large
-        if (this.transpositionTable.size > 100000) {
-            this.transpositionTable.clear();
-        }
-
+        const startTime = Date.now();
         const opponent = 3 - playerNumber;
 
         // 1. Check for immediate win
         const moves = this.getCandidateMoves(board);
         for (const [x, y] of moves) {
-            // 쌍삼 체크는 하지 않음 - 이기는 수는 예외
+            // 금수 체크는 하지 않음 - 5목은 금수보다 우선
             board[y][x] = playerNumber;
             if (this.checkWin(board, x, y, playerNumber)) {
                 board[y][x] = 0;
@@ -592,44 +976,45 @@ class OmokCounter {
             board[y][x] = opponent;
             if (this.checkWin(board, x, y, opponent)) {
                 board[y][x] = 0;
-                // 쌍삼이어도 상대 5목을 막는 것이 우선
-                if (!this.checkDoubleThree(board, x, y, playerNumber)) {
+                // 금수 자리라면 막을 수 없음
+                if (!this.rules.isForbidden(board, x, y, playerNumber)) {
                     return {x, y};
                 }
             }
             board[y][x] = 0;
         }
 
-        // 3. Check for opponent's open-4 (must block)
+        // 3. Own winning threat sequence: VCF first, then VCT (threes and fours)
+        const threatWin = this.findThreatWin(board, playerNumber, startTime, timeLimit);
+        if (threatWin) {
+            return { x: threatWin.x, y: threatWin.y };
+        }
+
+        // 4. Check for opponent's open-4 (must block)
         const open4Move = this.findOpponentOpenFour(board, opponent);
         if (open4Move) {
-            if (!this.checkDoubleThree(board, open4Move.x, open4Move.y, playerNumber)) {
+            if (!this.rules.isForbidden(board, open4Move.x, open4Move.y, playerNumber)) {
                 return open4Move;
             }
         }
 
-        // 4. Check for opponent's open-3 (should block)
+        // 5. Check for opponent's open-3 (should block)
         const open3Move = this.findOpponentOpenThree(board, opponent);
         if (open3Move) {
-            if (!this.checkDoubleThree(board, open3Move.x, open3Move.y, playerNumber)) {
+            if (!this.rules.isForbidden(board, open3Move.x, open3Move.y, playerNumber)) {
                 return open3Move;
             }
         }
 
-        // 5. Check for VCF
-        const vcfMove = this.searchVCF(board, playerNumber, 8);
-        if (vcfMove) {
-            return vcfMove;
-        }
-
         // 6. Check opponent VCF and block
-        const opponentVCF = this.searchVCF(board, opponent, 6);
-        if (opponentVCF) {
+        const opponentVCF = this.searchVCF(board, opponent, 6, this.threatTimeLimit(timeLimit));
+        if (opponentVCF && !this.rules.isForbidden(board, opponentVCF.x, opponentVCF.y, playerNumber)) {
             return opponentVCF;
         }
 
-        // 7. Iterative deepening search
-        const bestMove = this.iterativeDeepening(board, 6, 3000, playerNumber);
+        // 7. Iterative deepening search with the rest of the time budget
+        const remaining = Math.max(timeLimit - (Date.now() - startTime), timeLimit / 5);
+        const { bestMove } = this.iterativeDeepening(board, this.maxDepth, remaining, playerNumber);
 
         if (bestMove) {
             return bestMove;
@@ -637,17 +1022,57 @@ class OmokCounter {
 
         // Fallback: center or random
         const fallbackCenter = Math.floor(this.size / 2);
-        if (board[fallbackCenter][fallbackCenter] === 0) {
+        if (board[fallbackCenter][fallbackCenter] === 0 &&
+            !this.rules.isForbidden(board, fallbackCenter, fallbackCenter, playerNumber)) {
             return {x: fallbackCenter, y: fallbackCenter};
         }
 
-        const validMoves = moves.filter(([x, y]) => board[y][x] === 0);
+        const validMoves = moves.filter(([x, y]) =>
+            board[y][x] === 0 && !this.rules.isForbidden(board, x, y, playerNumber));
         if (validMoves.length > 0) {
             const [x, y] = validMoves[0];
             return {x, y};
         }
 
-        return null;
+        // Any legal point left on the board (null means the game is drawn)
+        return this.rules.findLegalMove(board, playerNumber);
+    }
+
+    // 무승부 제안 수락 여부 - 형세가 앞서지 않으면 수락
+    acceptsDraw(board, playerNumber = 2) {
+        const own = this.evaluatePosition(board, playerNumber).score;
+        const opp = this.evaluatePosition(board, 3 - playerNumber).score;
+        return own <= opp;
+    }
+
+    // Opening protocols (OmokOpening): static balance for black, -1..1
+    openingBalance(board) {
+        const score = this.evaluatePosition(board, 1).score - this.evaluatePosition(board, 2).score;
+        return Math.tanh(score / 2000);
+    }
+
+    // Answer the opening's current request (place stones, offer/select fifth moves, swap or not)
+    openingMove(opening) {
+        return OmokOpening.decide(opening, board => this.openingBalance(board));
+    }
+
+    // New game: forget the previous game's transpositions, killers and history
+    newGame() {
+        this.transpositionTable.clear();
+        this.killerMoves = [];
+        this.historyTable.fill(0);
+    }
+
+    // End the running search (call from onProgress) - getMove/analyze return the best move so far
+    stop() {
+        this.stopRequested = true;
+        this.deadline = 0;
+    }
+
+    // Ask stopCheck whether to stop - true once the running search should end
+    checkStop() {
+        if (!this.stopRequested && this.stopCheck && this.stopCheck()) this.stop();
+        return this.stopRequested;
     }
 
     // 상대방의 열린 4목 찾기
@@ -0,0 +1,77 @@
+// Counter AI 탐색 테스트 - 실행: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const OmokCounter = require('./omok_counter.js');
+
+function makeBoard(size, black = [], white = []) {
+    const board = Array.from({ length: size }, () => Array(size).fill(0));
+    for (const [x, y] of black) board[y][x] = 1;
+    for (const [x, y] of white) board[y][x] = 2;
+    return board;
+}
+
+test("막을 자리가 모두 금수여도 자기 5목 자리가 있으면 승리", () => {
+    const ai = new OmokCounter(15, { ruleSet: "renju", book: false });
+    // 흑은 (5,1)에 5목, 백의 4를 막는 (10,13)은 흑의 쌍삼
+    const board = makeBoard(15,
+        [[8, 13], [9, 13], [8, 11], [9, 12], [10, 8], [1, 1], [2, 1], [3, 1], [4, 1]],
+        [[10, 9], [10, 10], [10, 11], [10, 12], [0, 1]]);
+    assert.equal(ai.rules.getForbiddenType(board, 10, 13, 1), "doubleThree");
+
+    const position = ai.createPosition(board);
+    const result = ai.minimaxWithThreats(position, 2, -Infinity, Infinity, true, { x: 10, y: 12, player: 2 }, 1);
+    assert.equal(result.score, 10000000);
+    assert.deepEqual(result.pv, [{ x: 5, y: 1, player: 1 }]);
+    assert.equal(ai.transpositionTable.probe(position, 1).value, 10000000, "치환표에도 승리로");
+});
+
+test("stopCheck가 true를 돌려주면 진행 중인 깊이와 위협 탐색도 끝내고 최선수를 둠", () => {
+    const ai = new OmokCounter(15, { ruleSet: "renju", book: false, timeLimit: 30000, maxDepth: 12 });
+    const board = makeBoard(15, [[7, 7], [6, 8], [8, 7], [5, 9]], [[8, 8], [8, 6], [6, 6]]);
+    const startTime = Date.now();
+    ai.stopCheck = () => Date.now() - startTime > 200;
+    const move = ai.getMove(board, 2);
+    assert.ok(Date.now() - startTime < 2000, "수당 시간을 다 쓰지 않음");
+    assert.equal(board[move.y][move.x], 0);
+    assert.equal(ai.stopRequested, true);
+});
+
+test("VCT: 열린 2 두 개가 만나는 자리의 쌍삼으로 승리 (VCF는 없음)", () => {
+    const ai = new OmokCounter(15, { ruleSet: "freestyle", book: false });
+    const board = makeBoard(15, [[5, 7], [6, 7], [7, 5], [7, 6]], [[0, 0], [14, 14]]);
+    assert.equal(ai.searchVCF(board, 1), null);
+    const vct = ai.searchVCT(board, 1);
+    assert.deepEqual({ x: vct.x, y: vct.y }, { x: 7, y: 7 });
+    const last = vct.sequence[vct.sequence.length - 1];
+    assert.equal(last.player, 1);
+
+    // 수순대로 두면 마지막 수가 5목
+    for (const { x, y, player } of vct.sequence) board[y][x] = player;
+    assert.equal(ai.checkWin(board, last.x, last.y, 1), true);
+});
+
+test("VCT: 수비 쪽의 반격 4(여기서는 쌍사)가 있으면 쌍삼은 승리가 아님", () => {
+    const ai = new OmokCounter(15, { ruleSet: "freestyle", book: false });
+    // 백은 (4,10)에 두면 가로와 세로의 4 - 흑의 쌍삼에 반격
+    const board = makeBoard(15,
+        [[5, 7], [6, 7], [7, 5], [7, 6], [0, 10], [4, 14]],
+        [[1, 10], [2, 10], [3, 10], [4, 11], [4, 12], [4, 13]]);
+    assert.equal(ai.searchVCT(board, 1), null);
+    assert.equal(ai.searchVCF(board, 2).x, 4);
+});
+
+test("VCF: 쌍사를 만들면 수비가 하나만 막을 수 있어 승리, 수순은 막는 수 다음 5목", () => {
+    const ai = new OmokCounter(15, { ruleSet: "freestyle", book: false });
+    const board = makeBoard(15, [[7, 7], [8, 7], [9, 7], [10, 8], [10, 9], [10, 10]], [[6, 7], [10, 11]]);
+    assert.deepEqual(ai.searchVCF(board, 1).sequence, [
+        { x: 10, y: 7, player: 1 }, { x: 11, y: 7, player: 2 }, { x: 10, y: 6, player: 1 }
+    ]);
+});
+
+test("VCF: 렌주에서 흑이 막을 자리가 금수면 4 하나로 승리", () => {
+    const ai = new OmokCounter(15, { ruleSet: "renju", book: false });
+    // 백이 (10,12)에 두면 5목 자리 (10,13)은 흑의 쌍삼
+    const board = makeBoard(15, [[8, 13], [9, 13], [8, 11], [9, 12], [10, 8]], [[10, 9], [10, 10], [10, 11], [0, 0]]);
+    assert.equal(ai.rules.getForbiddenType(board, 10, 13, 1), "doubleThree");
+    assert.deepEqual(ai.searchVCF(board, 2).sequence, [{ x: 10, y: 12, player: 2 }, { x: 10, y: 13, player: 2 }]);
+});
@@ -0,0 +1,147 @@
+// 오목 엔진 레지스트리 - 화면의 선수 선택, 분석, 워커, 토너먼트 같은 도구가 엔진을 찾는 곳
+//
+// 엔진 인터페이스 (클래스)
+//   static ENGINE = { id, name, version, options }   options: 옵션 스키마 { 이름: 옵션 설명 }
+//   constructor(boardSize, options)                  options: { ruleSet, ...스키마의 옵션 }
+//   getMove(board, player, clock) → { x, y } | null
+//              clock: 둘 차례의 대국 시계 { time, increment, byoyomi, periods } (ms, OmokClock.engineTime) - 없으면 null
+//              주어지면 엔진은 OmokClock.budget으로 이번 수의 시간을 정한다
+//   analyze(board, player, topN) → { player, depth, score, balance, pv, candidates, elapsed }   (선택)
+//   acceptsDraw(board, player) → boolean                                                       (선택)
+//   openingMove(opening) → 오프닝 규칙(OmokOpening)의 지금 요청에 대한 답                          (선택)
+//   newGame()  새 대국 - 이전 대국의 탐색 기록을 비움
+//   stop()     진행 중인 탐색을 끝내고 지금까지의 최선수를 돌려주게 함
+//              (탐색은 동기 코드라 같은 스레드의 onProgress 콜백 안에서 불러야 효과가 있음)
+//   timeLimit  스키마에 timeLimit 옵션이 있는 엔진은 이 속성(ms)을 바꾸면 다음 탐색부터 그 시간을 쓴다
+//   openingBook  스키마에 book 옵션이 있는 엔진은 생성 옵션이나 이 속성으로 받은 오프닝 북(OmokBook)을 탐색 전에 찾아본다
+//
+// 옵션 설명: { type: "integer" | "number" | "boolean" | "choice", label, default, min, max, step, choices: [{ value, label }] }
+//
+// 같은 엔진을 다른 기본 옵션으로 한 번 더 등록하면 (예: 깊이를 높인 Counter) 별도 선수로 나타난다:
+//   OmokEngines.register(OmokCounter, { id: "counter-deep", name: "Counter AI (깊이 8)", options: { maxDepth: 8 } });
+
+// Node에서는 <script> 태그 대신 require로 기본 엔진을 불러온다
+if (typeof module !== 'undefined' && module.exports) {
+    if (typeof Omok2025 === 'undefined') globalThis.Omok2025 = require('./omok_2025.js');
+    if (typeof OmokCounter === 'undefined') globalThis.OmokCounter = require('./omok_counter.js');
+    if (typeof OmokMCTS === 'undefined') globalThis.OmokMCTS = require('./omok_mcts.js');
+}
+
+class OmokEngines {
+    static entries = new Map(); // id → { id, name, version, options, presets, Engine } (등록 순서 유지)
+
+    // Engine.ENGINE의 정보로 등록 - preset의 id/name/options로 같은 엔진의 다른 설정을 추가 등록
+    static register(Engine, preset = {}) {
+        const info = Engine.ENGINE;
+        if (!info || !info.id) throw new Error("Engine class must declare static ENGINE = { id, name, version, options }");
+        const id = preset.id || info.id;
+        OmokEngines.entries.set(id, {
+            id,
+            name: preset.name || info.name,
+            version: info.version || "",
+            options: info.options || {},
+            presets: preset.options || {},
+            Engine
+        });
+        return id;
+    }
+
+    static list() {
+        return [...OmokEngines.entries.values()];
+    }
+
+    static get(id) {
+        const entry = OmokEngines.entries.get(String(id));
+        if (!entry) throw new Error(`Unknown engine: ${id} (available: ${OmokEngines.list().map(e => e.id).join(", ")})`);
+        return entry;
+    }
+
+    static has(id) {
+        return OmokEngines.entries.has(String(id));
+    }
+
+    // 엔진이 선택 메서드(analyze, acceptsDraw ...)를 구현했는지
+    static supports(id, method) {
+        return typeof OmokEngines.get(id).Engine.prototype[method] === "function";
+    }
+
+    // 스키마 기본값에 등록 설정을 덮은 값
+    static defaults(id) {
+        const entry = OmokEngines.get(id);
+        const values = {};
+        for (const [key, option] of Object.entries(entry.options)) values[key] = option.default;
+        return { ...values, ...entry.presets };
+    }
+
+    // options: ruleSet과 스키마의 옵션 (없는 옵션은 등록 설정, 그다음 엔진 생성자 기본값)
+    static create(id, boardSize, options = {}) {
+        const entry = OmokEngines.get(id);
+        return new entry.Engine(boardSize, { ...entry.presets, ...options });
+    }
+
+    // 명령줄의 엔진 지정 "counter:maxDepth=4:pvs=false" → { id, options }
+    static parseSpec(spec) {
+        const [id, ...pairs] = String(spec).split(":");
+        OmokEngines.get(id); // 없는 엔진이면 Error
+
+        const values = {};
+        for (const pair of pairs) {
+            const [key, value] = pair.split("=");
+            if (!key || value === undefined) throw new Error(`Invalid engine option: ${pair}`);
+            values[key] = value;
+        }
+        return { id, options: OmokEngines.parseOptions(id, values) };
+    }
+
+    // 문자열 값(명령줄, 입력란)을 스키마의 형식으로 바꾸고 범위를 확인 - 잘못된 값은 Error
+    static parseOptions(id, values) {
+        const entry = OmokEngines.get(id);
+        const parsed = {};
+        for (const [key, raw] of Object.entries(values)) {
+            const option = entry.options[key];
+            if (!option) {
+                const known = Object.keys(entry.options).join(", ") || "none";
+                throw new Error(`Unknown option for ${id}: ${key} (available: ${known})`);
+            }
+            parsed[key] = OmokEngines.parseValue(key, option, raw);
+        }
+        return parsed;
+    }
+
+    static parseValue(key, option, raw) {
+        switch (option.type) {
+            case "boolean":
+                if (typeof raw === "boolean") return raw;
+                if (raw === "true" || raw === "1" || raw === 1) return true;
+                if (raw === "false" || raw === "0" || raw === 0) return false;
+                throw new Error(`${key} must be true or false`);
+            case "choice": {
+                const choice = option.choices.find(c => String(c.value) === String(raw));
+                if (!choice) throw new Error(`${key} must be one of ${option.choices.map(c => c.value).join(", ")}`);
+                return choice.value;
+            }
+            default: {
+                const value = Number(raw);
+                if (raw === "" || Number.isNaN(value)) throw new Error(`${key} must be a number`);
+                if (option.type === "integer" && !Number.isInteger(value)) throw new Error(`${key} must be an integer`);
+                if (option.min !== undefined && value < option.min) throw new Error(`${key} must be at least ${option.min}`);
+                if (option.max !== undefined && value > option.max) throw new Error(`${key} must be at most ${option.max}`);
+                return value;
+            }
+        }
+    }
+}
+
+// 기본 엔진 (브라우저와 워커에서는 이 파일보다 먼저 불러온 엔진만)
+for (const Engine of [
+    typeof Omok2025 !== 'undefined' ? Omok2025 : null,
+    typeof OmokCounter !== 'undefined' ? OmokCounter : null,
+    typeof OmokMCTS !== 'undefined' ? OmokMCTS : null
+]) {
+    if (Engine) OmokEngines.register(Engine);
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OmokEngines;
+}
@@ -0,0 +1,124 @@
+// 오목 대국 보관함 - 끝난 대국을 저장하고 엔진/승자/수 길이로 찾아보기
+// 브라우저에서는 localStorage, Node에서는 JSON 파일(OmokLibrary.fileStorage)에 저장
+//
+// 대국: { id, date, size, ruleSet, black, white, winner, reason, moves: [{ x, y, player, time }] }
+//   black/white: 플레이어 종류 ("human", "2025", "counter" ...)
+//   winner: 1(흑 승) | 2(백 승) | 0(무승부)
+//   time: 그 수를 두는 데 걸린 시간(ms)
+
+class OmokLibrary {
+    static MAX_GAMES = 500; // 저장소 용량 보호 - 넘으면 오래된 대국부터 삭제
+
+    constructor(storage = null, key = "omokLibrary", maxGames = OmokLibrary.MAX_GAMES) {
+        this.storage = storage;
+        this.key = key;
+        this.maxGames = maxGames;
+        this.games = [];
+        this.load();
+    }
+
+    // Node용 파일 저장소 (localStorage와 같은 getItem/setItem 인터페이스)
+    static fileStorage(path) {
+        const fs = require('fs');
+        return {
+            getItem: () => fs.existsSync(path) ? fs.readFileSync(path, "utf8") : null,
+            setItem: (_key, value) => fs.writeFileSync(path, value)
+        };
+    }
+
+    load() {
+        if (!this.storage) return;
+        const data = this.storage.getItem(this.key);
+        if (!data) return;
+        try {
+            this.games = JSON.parse(data).games || [];
+        } catch (err) {
+            console.error(`Failed to load game library: ${err.message}`);
+            this.games = [];
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+        // 용량 초과 시 오래된 대국을 지우고 다시 시도
+        while (true) {
+            try {
+                this.storage.setItem(this.key, JSON.stringify({ games: this.games }));
+                return;
+            } catch (err) {
+                if (this.games.length <= 1) {
+                    console.error(`Failed to save game library: ${err.message}`);
+                    return;
+                }
+                this.games.splice(0, Math.ceil(this.games.length / 10));
+            }
+        }
+    }
+
+    addGame({ size, ruleSet, black, white, winner, reason = "", moves, date = new Date().toISOString() }) {
+        const game = {
+            id: this.games.reduce((max, g) => Math.max(max, g.id), 0) + 1,
+            date,
+            size,
+            ruleSet,
+            black,
+            white,
+            winner,
+            reason,
+            moves: moves.map(({ x, y, player, time }) => ({ x, y, player, time: time ?? null }))
+        };
+        this.games.push(game);
+        if (this.games.length > this.maxGames) {
+            this.games.splice(0, this.games.length - this.maxGames);
+        }
+        this.save();
+        return game;
+    }
+
+    getGame(id) {
+        return this.games.find(g => g.id === id) || null;
+    }
+
+    removeGame(id) {
+        this.games = this.games.filter(g => g.id !== id);
+        this.save();
+    }
+
+    clear() {
+        this.games = [];
+        this.save();
+    }
+
+    // 조건 필터 (최신순)
+    //   engine: 그 플레이어가 흑이나 백으로 참가한 대국
+    //   winner: 1 | 2 | 0 (색/무승부) 또는 플레이어 종류 (그 플레이어가 이긴 대국)
+    //   minMoves, maxMoves: 수 길이 범위
+    filter({ engine = null, winner = null, minMoves = null, maxMoves = null } = {}) {
+        return this.games.filter(g => {
+            if (engine !== null && g.black !== engine && g.white !== engine) return false;
+            if (typeof winner === "number" && g.winner !== winner) return false;
+            if (typeof winner === "string" && !OmokLibrary.isWinner(g, winner)) return false;
+            if (minMoves !== null && g.moves.length < minMoves) return false;
+            if (maxMoves !== null && g.moves.length > maxMoves) return false;
+            return true;
+        }).reverse();
+    }
+
+    static isWinner(game, player) {
+        return (game.winner === 1 && game.black === player) || (game.winner === 2 && game.white === player);
+    }
+
+    // 수 하나당 평균 생각 시간(ms) - 시간이 기록되지 않았으면 null
+    static averageThinkTime(game, player = null) {
+        const times = game.moves
+            .filter(m => m.time !== null && (player === null || m.player === player))
+            .map(m => m.time);
+        if (times.length === 0) return null;
+        return times.reduce((a, b) => a + b, 0) / times.length;
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OmokLibrary;
+}
@@ -0,0 +1,480 @@
+// Omok MCTS - 몬테카를로 트리 탐색(UCT) 오목 AI
+//
+// 선택:     UCT (승률 + exploration * sqrt(ln N / n)), 노드의 자식 수는 방문 수에 따라 늘림 (progressive widening)
+// 확장:     후보수를 패턴 점수순으로 하나씩 추가 - 5목을 만들 수 있으면 그 수만, 상대 5목 자리가 있으면 막는 수만
+// 시뮬레이션: 패턴 점수로 가중한 무작위 착수 - 5목이 되는 수는 바로 두고 상대의 5목 자리는 막음
+// 역전파:   노드마다 그 수를 둔 쪽 기준으로 승리 1, 무승부 0.5
+//
+// 예산: playouts(0이면 제한 없음)와 timeLimit(ms) 중 먼저 닿는 쪽에서 멈추고 가장 많이 방문한 수를 둔다
+
+// Node에서는 <script> 태그 대신 require로 필요한 모듈을 불러온다
+if (typeof module !== 'undefined' && module.exports) {
+    if (typeof OmokRules === 'undefined') globalThis.OmokRules = require('./omok_rules.js');
+    if (typeof OmokOpening === 'undefined') globalThis.OmokOpening = require('./omok_opening.js');
+    if (typeof OmokClock === 'undefined') globalThis.OmokClock = require('./omok_clock.js');
+}
+
+class OmokMCTS {
+    // 엔진 레지스트리 정보 (omok_engines.js)
+    static ENGINE = {
+        id: "mcts",
+        name: "MCTS",
+        version: "1.0",
+        options: {
+            timeLimit: { type: "integer", label: "수당 시간(ms)", default: 3000, min: 100, max: 60000, step: 100 },
+            playouts: { type: "integer", label: "수당 플레이아웃 (0이면 시간만)", default: 0, min: 0, max: 1000000, step: 1000 },
+            exploration: { type: "number", label: "UCT 탐험 상수", default: 1.0, min: 0, max: 5, step: 0.1 },
+            rolloutDepth: { type: "integer", label: "시뮬레이션 최대 수", default: 60, min: 10, max: 400, step: 10 },
+            book: { type: "boolean", label: "오프닝 북 사용", default: true }
+        }
+    };
+
+    static DIRS = [[1, 0], [0, 1], [1, 1], [1, -1]];
+
+    // 한 방향 패턴 점수 [이어지는 돌 수(놓는 돌 제외, 최대 4)][열린 끝 수]
+    static ATTACK_WEIGHTS = [[0, 0, 0], [0, 3, 10], [0, 20, 300], [0, 400, 5000], [100000, 100000, 100000]]; // 내 줄 잇기
+    static DEFENSE_WEIGHTS = [[0, 0, 0], [0, 1, 3], [0, 5, 50], [0, 200, 1500], [50000, 50000, 50000]]; // 상대 줄 끊기
+
+    static SAMPLE_SIZE = 8; // 시뮬레이션에서 한 수를 고를 때 살펴보는 무작위 후보 수
+
+    constructor(boardSize = 15, options = {}) {
+        this.size = boardSize;
+        this.ruleSet = options.ruleSet || "renju";
+        this.rules = new OmokRules(boardSize, this.ruleSet);
+        this.timeLimit = options.timeLimit || 3000; // 수당 시간(ms)
+        this.playouts = options.playouts || 0; // 수당 시뮬레이션 수 (0이면 시간으로만 제한)
+        this.exploration = options.exploration ?? 1.0; // UCT 탐험 상수
+        this.rolloutDepth = options.rolloutDepth || 60; // 시뮬레이션 최대 수 - 넘으면 무승부
+        this.random = OmokMCTS.createRandom(options.seed ?? Math.floor(Math.random() * 0x100000000));
+        this.onProgress = null; // 탐색 진행 상황 콜백 (워커에서 사용)
+        this.stopRequested = false; // stop() 호출 - 진행 중인 탐색은 지금까지의 결과로 끝냄
+        this.stopCheck = null; // 시뮬레이션마다 부르는 함수 (워커에서 사용) - true를 돌려주면 stop()
+        this.useBook = options.book ?? true; // 오프닝 북에 있는 국면이면 탐색 없이 북의 수
+        this.openingBook = options.openingBook || null; // OmokBook (omok_book.js)
+    }
+
+    // 시드 고정 난수 (mulberry32)
+    static createRandom(seed) {
+        let a = seed >>> 0;
+        return () => {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // 돌 주변 2칸 안의 빈 칸 (빈 판이면 중앙)
+    getCandidateMoves(board) {
+        const moves = [];
+        const seen = new Uint8Array(this.size * this.size);
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (board[y][x] === 0) continue;
+                for (let ny = Math.max(0, y - 2); ny <= Math.min(this.size - 1, y + 2); ny++) {
+                    for (let nx = Math.max(0, x - 2); nx <= Math.min(this.size - 1, x + 2); nx++) {
+                        const index = ny * this.size + nx;
+                        if (board[ny][nx] === 0 && !seen[index]) {
+                            seen[index] = 1;
+                            moves.push([nx, ny]);
+                        }
+                    }
+                }
+            }
+        }
+        if (moves.length === 0) {
+            const center = Math.floor(this.size / 2);
+            if (board[center][center] === 0) moves.push([center, center]);
+        }
+        return moves;
+    }
+
+    // (x, y)에 player가 두면 5목이 되는지 (룰셋 기준)
+    makesFive(board, x, y, player) {
+        board[y][x] = player;
+        const five = this.rules.checkWin(board, x, y, player);
+        board[y][x] = 0;
+        return five;
+    }
+
+    // (x, y)에 player가 둘 때의 패턴 점수 - 방향마다 내 줄을 잇는 값과 상대 줄을 끊는 값의 합
+    moveWeight(board, x, y, player) {
+        let weight = 1;
+        for (const [dx, dy] of OmokMCTS.DIRS) {
+            for (const owner of [player, 3 - player]) {
+                let count = 0;
+                let open = 0;
+                for (const sign of [1, -1]) {
+                    let nx = x + sign * dx, ny = y + sign * dy;
+                    while (this.rules.inBoard(nx, ny) && board[ny][nx] === owner) {
+                        count++;
+                        nx += sign * dx;
+                        ny += sign * dy;
+                    }
+                    if (this.rules.inBoard(nx, ny) && board[ny][nx] === 0) open++;
+                }
+                const table = owner === player ? OmokMCTS.ATTACK_WEIGHTS : OmokMCTS.DEFENSE_WEIGHTS;
+                weight += table[Math.min(count, 4)][open];
+            }
+        }
+        return weight;
+    }
+
+    // 트리 노드에서 둘 수: 5목이 되는 수가 있으면 그 수만, 상대 5목 자리가 있으면 막는 수만, 아니면 후보 전체
+    // 금수는 빼고 패턴 점수가 높은 순서 (이 순서대로 자식이 늘어남)
+    nodeMoves(board, player) {
+        const candidates = this.getCandidateMoves(board);
+        for (const [x, y] of candidates) {
+            if (this.makesFive(board, x, y, player)) return [[x, y]];
+        }
+
+        const blocks = candidates.filter(([x, y]) => this.makesFive(board, x, y, 3 - player));
+        return (blocks.length > 0 ? blocks : candidates)
+            .filter(([x, y]) => !this.rules.isForbidden(board, x, y, player))
+            .map(([x, y]) => ({ x, y, weight: this.moveWeight(board, x, y, player) }))
+            .sort((a, b) => b.weight - a.weight)
+            .map(m => [m.x, m.y]);
+    }
+
+    createNode(x, y, player, parent) {
+        // player: 이 노드로 오는 수를 둔 쪽, winner: 그 수로 5목이 되었으면 player
+        return { x, y, player, parent, children: [], untried: null, visits: 0, wins: 0, winner: 0 };
+    }
+
+    // 방문 수에 따라 펼칠 수 있는 자식 수 (1, 3, 5, ... - 방문이 쌓일수록 다음 후보를 추가)
+    widen(visits) {
+        return 1 + 2 * Math.floor(Math.sqrt(visits));
+    }
+
+    selectChild(node) {
+        const logVisits = Math.log(node.visits);
+        let best = null;
+        let bestValue = -Infinity;
+        for (const child of node.children) {
+            const value = child.wins / child.visits + this.exploration * Math.sqrt(logVisits / child.visits);
+            if (value > bestValue) {
+                bestValue = value;
+                best = child;
+            }
+        }
+        return best;
+    }
+
+    // 결과: { bestMove, winRate, pv, candidates: [{ x, y, visits, winRate, pv }], playouts, nodes, depth, elapsed }
+    // winRate는 player 기준 (무승부 0.5)
+    search(board, player, { playouts = this.playouts, timeLimit = this.timeLimit } = {}) {
+        const startTime = Date.now();
+        const deadline = startTime + timeLimit;
+        const work = board.map(row => [...row]);
+        const root = this.createNode(-1, -1, 3 - player, null);
+        let count = 0;
+        let nodes = 1;
+        let maxDepth = 0;
+        let lastReport = startTime;
+
+        while (!playouts || count < playouts) {
+            if ((count & 15) === 0 && Date.now() > deadline) break;
+            if (this.checkStop() && count > 0) break;
+
+            // 선택과 확장 - 새 자식을 하나 만들거나 끝난 국면에 닿을 때까지 내려감
+            const path = [root];
+            let node = root;
+            let toMove = player;
+            while (!node.winner) {
+                if (node.untried === null) {
+                    node.untried = this.nodeMoves(work, toMove);
+                    // 둘 수가 없는데 상대 5목 자리가 남았으면 막는 자리가 모두 금수 - 무승부가 아니라 toMove의 패배
+                    if (node.untried.length === 0 &&
+                        this.getCandidateMoves(work).some(([x, y]) => this.makesFive(work, x, y, 3 - toMove))) {
+                        node.winner = 3 - toMove;
+                        break;
+                    }
+                }
+                if (node.untried.length > 0 && node.children.length < this.widen(node.visits)) {
+                    const [x, y] = node.untried.shift();
+                    const child = this.createNode(x, y, toMove, node);
+                    work[y][x] = toMove;
+                    if (this.rules.checkWin(work, x, y, toMove)) child.winner = toMove;
+                    node.children.push(child);
+                    path.push(child);
+                    nodes++;
+                    node = child;
+                    toMove = 3 - toMove;
+                    break;
+                }
+                if (node.children.length === 0) break; // 둘 곳이 없음 - 무승부
+                node = this.selectChild(node);
+                work[node.y][node.x] = node.player;
+                path.push(node);
+                toMove = 3 - toMove;
+            }
+            maxDepth = Math.max(maxDepth, path.length - 1);
+
+            // 시뮬레이션 후 판을 되돌리고 결과를 뿌리까지 반영
+            const winner = node.winner || (node.untried && node.untried.length === 0 && node.children.length === 0
+                ? 0
+                : this.rollout(work, toMove));
+            for (let i = path.length - 1; i >= 1; i--) work[path[i].y][path[i].x] = 0;
+            for (const n of path) {
+                n.visits++;
+                n.wins += winner === n.player ? 1 : winner === 0 ? 0.5 : 0;
+            }
+            count++;
+
+            if (this.onProgress && Date.now() - lastReport >= 250) {
+                lastReport = Date.now();
+                const best = this.mostVisited(root);
+                this.onProgress({
+                    depth: maxDepth,
+                    playouts: count,
+                    nodes,
+                    bestMove: best && { x: best.x, y: best.y },
+                    score: best ? this.winRateScore(best.wins / best.visits) : 0,
+                    elapsed: lastReport - startTime
+                });
+            }
+        }
+
+        const candidates = [...root.children]
+            .sort((a, b) => b.visits - a.visits)
+            .map(child => ({
+                x: child.x,
+                y: child.y,
+                visits: child.visits,
+                winRate: child.wins / child.visits,
+                pv: this.principalVariation(child)
+            }));
+        const best = candidates[0];
+        return {
+            bestMove: best ? { x: best.x, y: best.y } : null,
+            winRate: best ? best.winRate : 0.5,
+            pv: best ? best.pv : [],
+            candidates,
+            playouts: count,
+            nodes,
+            depth: maxDepth,
+            elapsed: Date.now() - startTime
+        };
+    }
+
+    mostVisited(node) {
+        let best = null;
+        for (const child of node.children) {
+            if (!best || child.visits > best.visits) best = child;
+        }
+        return best;
+    }
+
+    // node부터 가장 많이 방문한 자식을 따라간 수순
+    principalVariation(node) {
+        const line = [];
+        for (let n = node; n; n = this.mostVisited(n)) {
+            line.push({ x: n.x, y: n.y, player: n.player });
+        }
+        return line;
+    }
+
+    // 승률(0~1)을 분석 화면의 점수로 (-100 ~ +100)
+    winRateScore(winRate) {
+        return Math.round((winRate - 0.5) * 200);
+    }
+
+    // 무작위 대국 - 승자(무승부면 0)를 반환하고 판은 원래대로 되돌림
+    rollout(board, player) {
+        const size = this.size;
+        const candidates = this.getCandidateMoves(board).map(([x, y]) => y * size + x);
+        const listed = new Uint8Array(size * size);
+        for (const index of candidates) listed[index] = 1;
+
+        // 5목 자리 후보 (둘 때마다 그 주변에서 추가, 쓸 때 다시 확인)
+        const fives = { 1: [], 2: [] };
+        for (const index of candidates) {
+            const x = index % size, y = (index - x) / size;
+            for (const p of [1, 2]) {
+                if (this.makesFive(board, x, y, p)) fives[p].push(index);
+            }
+        }
+
+        const played = [];
+        let winner = 0;
+        for (let step = 0; step < this.rolloutDepth; step++) {
+            const opponent = 3 - player;
+            let move = -1;
+
+            // 5목이 되면 승리
+            if (fives[player].some(i => board[(i - i % size) / size][i % size] === 0 &&
+                this.makesFive(board, i % size, (i - i % size) / size, player))) {
+                winner = player;
+                break;
+            }
+            // 상대 5목 자리는 막음 (막을 수 없으면 패배)
+            const threat = fives[opponent].find(i => board[(i - i % size) / size][i % size] === 0 &&
+                this.makesFive(board, i % size, (i - i % size) / size, opponent));
+            if (threat !== undefined) {
+                if (this.rules.isForbidden(board, threat % size, (threat - threat % size) / size, player)) {
+                    winner = opponent;
+                    break;
+                }
+                move = threat;
+            } else {
+                move = this.sampleMove(board, player, candidates);
+                if (move < 0) break; // 둘 곳이 없음 - 무승부
+            }
+
+            const x = move % size, y = (move - x) / size;
+            board[y][x] = player;
+            played.push(move);
+
+            // 새 돌 주변의 빈 칸을 후보에 추가하고, 새 돌이 만든 5목 자리를 기록
+            for (let ny = Math.max(0, y - 2); ny <= Math.min(size - 1, y + 2); ny++) {
+                for (let nx = Math.max(0, x - 2); nx <= Math.min(size - 1, x + 2); nx++) {
+                    const index = ny * size + nx;
+                    if (board[ny][nx] === 0 && !listed[index]) {
+                        listed[index] = 1;
+                        candidates.push(index);
+                    }
+                }
+            }
+            for (const [dx, dy] of OmokMCTS.DIRS) {
+                for (const sign of [1, -1]) {
+                    for (let k = 1; k <= 4; k++) {
+                        const nx = x + sign * k * dx, ny = y + sign * k * dy;
+                        if (!this.rules.inBoard(nx, ny) || board[ny][nx] === opponent) break;
+                        if (board[ny][nx] === 0 && this.rules.countLine(board, nx, ny, dx, dy, player) >= 5) {
+                            fives[player].push(ny * size + nx);
+                        }
+                    }
+                }
+            }
+            player = opponent;
+        }
+
+        for (const index of played) board[(index - index % size) / size][index % size] = 0;
+        return winner;
+    }
+
+    // 후보 중 무작위로 몇 개를 뽑아 패턴 점수에 비례한 확률로 하나 선택 (금수는 버리고 다시)
+    // candidates는 칸 번호 목록 - 이미 돌이 놓인 칸은 여기서 지움
+    sampleMove(board, player, candidates) {
+        const size = this.size;
+        while (candidates.length > 0) {
+            const sample = [];
+            let total = 0;
+            for (let i = 0; i < OmokMCTS.SAMPLE_SIZE && candidates.length > 0; i++) {
+                const pick = Math.floor(this.random() * candidates.length);
+                const index = candidates[pick];
+                const x = index % size, y = (index - x) / size;
+                if (board[y][x] !== 0) {
+                    candidates[pick] = candidates[candidates.length - 1];
+                    candidates.pop();
+                    i--;
+                    continue;
+                }
+                const weight = this.moveWeight(board, x, y, player);
+                sample.push({ index, pick, weight });
+                total += weight;
+            }
+            if (sample.length === 0) break;
+
+            let r = this.random() * total;
+            let chosen = sample[sample.length - 1];
+            for (const s of sample) {
+                r -= s.weight;
+                if (r < 0) {
+                    chosen = s;
+                    break;
+                }
+            }
+            const x = chosen.index % size, y = (chosen.index - x) / size;
+            if (!this.rules.isForbidden(board, x, y, player)) return chosen.index;
+
+            // 금수 자리는 이 시뮬레이션에서 빼고 다시 뽑음
+            const pick = candidates.indexOf(chosen.index);
+            candidates[pick] = candidates[candidates.length - 1];
+            candidates.pop();
+        }
+        return -1;
+    }
+
+    // 오프닝 북의 수 (북을 끄거나 북에 없는 국면이면 null)
+    bookMove(board, playerNumber) {
+        return this.useBook && this.openingBook ? this.openingBook.getMove(board, playerNumber, this.rules) : null;
+    }
+
+    // Main AI move function
+    // clock: 둘 차례의 대국 시계 { time, increment, byoyomi, periods } - 주면 timeLimit 대신 그 수당 시간
+    getMove(board, playerNumber = 2, clock = null) {
+        this.stopRequested = false;
+        const bookMove = this.bookMove(board, playerNumber);
+        if (bookMove) return bookMove;
+
+        // 첫 수는 중앙에
+        if (board.every(row => row.every(cell => cell === 0))) {
+            const center = Math.floor(this.size / 2);
+            return { x: center, y: center };
+        }
+
+        const { bestMove } = this.search(board, playerNumber, { timeLimit: OmokClock.budget(clock, this.timeLimit) });
+        // 후보수가 없으면 남은 빈 칸 중 둘 수 있는 곳 (없으면 null - 무승부)
+        return bestMove || this.rules.findLegalMove(board, playerNumber);
+    }
+
+    // 국면 분석 - 점수는 승률을 -100 ~ +100으로 옮긴 값, 깊이는 트리가 내려간 최대 깊이
+    analyze(board, playerNumber = 2, topN = 5) {
+        this.stopRequested = false;
+        const result = this.search(board, playerNumber);
+        const candidates = result.candidates.slice(0, topN).map(c => ({ ...c, score: this.winRateScore(c.winRate) }));
+        return {
+            player: playerNumber,
+            depth: result.depth,
+            score: this.winRateScore(result.winRate),
+            balance: 2 * result.winRate - 1,
+            pv: result.pv,
+            candidates,
+            playouts: result.playouts,
+            elapsed: result.elapsed
+        };
+    }
+
+    // 무승부 제안 수락 여부 - 짧게 읽어 승률이 반을 넘지 않으면 수락
+    acceptsDraw(board, playerNumber = 2) {
+        const { winRate } = this.search(board, playerNumber, { playouts: 500, timeLimit: 1000 });
+        return winRate <= 0.5;
+    }
+
+    // 오프닝 규칙(OmokOpening)용 흑 기준 형세 (-1 ~ 1) - 둘 차례 쪽의 짧은 탐색 승률
+    openingBalance(board) {
+        const stones = board.reduce((sum, row) => sum + row.filter(v => v !== 0).length, 0);
+        const player = stones % 2 === 0 ? 1 : 2;
+        const { winRate } = this.search(board, player, { playouts: 200, timeLimit: 100 });
+        const balance = 2 * winRate - 1;
+        return player === 1 ? balance : -balance;
+    }
+
+    // 오프닝 규칙의 지금 요청에 답함 (돌 놓기, 5수 후보 제시/고르기, 흑백 교체 여부)
+    openingMove(opening) {
+        return OmokOpening.decide(opening, board => this.openingBalance(board), this.random);
+    }
+
+    // 새 대국 - 트리는 수마다 새로 만들므로 비울 것이 없음
+    newGame() {
+        this.stopRequested = false;
+    }
+
+    // 진행 중인 탐색 끝내기 (onProgress 안에서 호출) - 지금까지 가장 많이 방문한 수를 둔다
+    stop() {
+        this.stopRequested = true;
+    }
+
+    // stopCheck에 물어 멈출지 - 진행 중인 탐색을 끝내야 하면 true
+    checkStop() {
+        if (!this.stopRequested && this.stopCheck && this.stopCheck()) this.stop();
+        return this.stopRequested;
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OmokMCTS;
+}
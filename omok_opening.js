@@ -0,0 +1,321 @@
+// 오목 오프닝 규칙 - 선공 이점을 줄이는 대회용 개시 방식 (Swap, Swap2, Soosõrv-8, Taraguchi-10)
+//
+// 개시 중에 필요한 결정을 차례로 요청(request)하고 답(answer)을 받아 진행한다. 결정은 그때의 색을 가진 쪽이 내린다.
+// 흑백 교체(swap)는 두 선수가 색을 맞바꾸는 것 - 판의 돌은 그대로이고 swaps 수가 늘어난다.
+//
+// 요청 { type, color(결정하는 쪽의 색), text, ... }
+//   place   돌 하나 두기 (stone: 놓을 돌의 색, area: 중앙에서 허용 거리 - null이면 판 전체) → 답 { x, y }
+//   choice  선택지 중 하나 (options: [{ value, label }]) → 답 value
+//   number  수 고르기 (min, max) → 답 정수
+//   offer   5수 후보 제시 (count개, 판의 대칭으로 같은 자리는 한 번만) → 답 [{ x, y }, ...]
+//   select  상대가 제시한 후보 중 하나 고르기 (candidates) → 답 { x, y }
+//
+// 엔진은 OmokOpening.decide(opening, balance)로 답을 정한다 - balance(board)는 흑 기준 형세 (-1 ~ 1)
+// 워커로 보낼 때는 toJSON()의 { protocol, boardSize, ruleSet, answers }를 보내고 fromJSON이 답을 차례로 다시 넣어 같은 개시를 만든다
+
+if (typeof module !== 'undefined' && module.exports) {
+    if (typeof OmokRules === 'undefined') globalThis.OmokRules = require('./omok_rules.js');
+    if (typeof OmokSymmetry === 'undefined') globalThis.OmokSymmetry = require('./omok_symmetry.js');
+}
+
+class OmokOpening {
+    static PROTOCOLS = {
+        none: "없음 (흑 선공)",
+        swap: "Swap",
+        swap2: "Swap2",
+        soosorv8: "Soosõrv-8",
+        taraguchi10: "Taraguchi-10"
+    };
+
+    static COLOR_NAMES = { 1: "흑", 2: "백" };
+
+    static CANDIDATE_LIMIT = 30; // 엔진이 한 번에 평가하는 자리 수 (중앙에 가까운 순)
+
+    constructor(protocol, boardSize = 15, ruleSet = "renju") {
+        if (!(protocol in OmokOpening.PROTOCOLS)) throw new Error(`Unknown opening protocol: ${protocol}`);
+        this.protocol = protocol;
+        this.size = boardSize;
+        this.rules = new OmokRules(boardSize, ruleSet);
+        this.board = Array.from({ length: boardSize }, () => Array(boardSize).fill(0));
+        this.moves = []; // 개시 중 놓인 돌 [{ x, y, player }]
+        this.candidates = []; // 제시된 5수 후보 (select 요청 동안)
+        this.swaps = 0; // 흑백 교체 횟수 - 홀수면 처음 흑이던 선수가 백
+        this.answers = []; // 지금까지 받은 답 (toJSON)
+        this.steps = this[protocol]();
+        this.request = null;
+        this.done = false;
+        this.advance(undefined);
+    }
+
+    advance(answer) {
+        const { value, done } = this.steps.next(answer);
+        this.request = done ? null : value;
+        this.done = done;
+    }
+
+    // 지금 요청에 답하고 다음 요청으로 - 규칙에 맞지 않는 답이면 Error (요청은 그대로)
+    answer(value) {
+        if (this.done) throw new Error("Opening is already finished");
+        this.validate(this.request, value);
+        this.advance(value);
+        this.answers.push(value);
+    }
+
+    toJSON() {
+        return { protocol: this.protocol, boardSize: this.size, ruleSet: this.rules.ruleSet, answers: this.answers };
+    }
+
+    static fromJSON({ protocol, boardSize, ruleSet, answers }) {
+        const opening = new OmokOpening(protocol, boardSize, ruleSet);
+        for (const value of answers) opening.answer(value);
+        return opening;
+    }
+
+    // 개시가 끝난 뒤 둘 차례의 색
+    get nextPlayer() {
+        return this.moves.length % 2 === 0 ? 1 : 2;
+    }
+
+    validate(request, value) {
+        switch (request.type) {
+            case "place":
+                this.checkPoint(value, request);
+                break;
+            case "choice":
+                if (!request.options.some(option => option.value === value)) throw new Error(`Invalid choice: ${value}`);
+                break;
+            case "number":
+                if (!Number.isInteger(value) || value < request.min || value > request.max) {
+                    throw new Error(`Choose a number from ${request.min} to ${request.max}`);
+                }
+                break;
+            case "offer": {
+                if (!Array.isArray(value) || value.length !== request.count) throw new Error(`Offer exactly ${request.count} moves`);
+                value.forEach(point => this.checkPoint(point, { stone: 1 }));
+                for (let i = 0; i < value.length; i++) {
+                    for (let j = 0; j < i; j++) {
+                        if (this.equivalent(value[i], value[j])) {
+                            throw new Error(`Offered moves (${value[j].x}, ${value[j].y}) and (${value[i].x}, ${value[i].y}) are the same by symmetry`);
+                        }
+                    }
+                }
+                break;
+            }
+            case "select":
+                if (!value || !request.candidates.some(c => c.x === value.x && c.y === value.y)) throw new Error("Select one of the offered moves");
+                break;
+        }
+    }
+
+    checkPoint(point, { stone, area = null }) {
+        if (!point || !this.rules.inBoard(point.x, point.y)) throw new Error("Move is outside the board");
+        if (this.board[point.y][point.x] !== 0) throw new Error("Point is already occupied");
+        if (!this.inArea(point, area)) {
+            const width = area * 2 + 1;
+            throw new Error(`Move must be inside the central ${width}x${width} area`);
+        }
+        if (this.rules.isForbidden(this.board, point.x, point.y, stone)) throw new Error("Forbidden move");
+    }
+
+    inArea({ x, y }, area) {
+        if (area === null) return true;
+        const center = Math.floor(this.size / 2);
+        return Math.abs(x - center) <= area && Math.abs(y - center) <= area;
+    }
+
+    place({ x, y }) {
+        const player = this.nextPlayer;
+        this.board[y][x] = player;
+        this.moves.push({ x, y, player });
+    }
+
+    // 두 자리가 국면의 대칭(OmokSymmetry)으로 같은 수인지
+    equivalent(a, b) {
+        return OmokSymmetry.equivalent(this.board, a, b);
+    }
+
+    // ---- 개시 방식 (요청을 차례로 내는 생성기) ----
+
+    *none() {}
+
+    // Swap: 흑이 세 수(흑, 백, 흑)를 두고 백이 색을 고른다
+    *swap() {
+        yield* this.placeStones(1, 3);
+        yield* this.offerSwap(2);
+    }
+
+    // Swap2: 흑이 세 수를 두면 백이 (1) 백으로 4수, (2) 흑으로 교체, (3) 두 수(백, 흑) 더 두고 상대가 색 선택 중 하나
+    *swap2() {
+        yield* this.placeStones(1, 3);
+        const choice = yield {
+            type: "choice", color: 2, text: "백: 색을 고르거나 두 수를 더 두세요",
+            options: [
+                { value: "white", label: "백으로 4수 두기" },
+                { value: "black", label: "흑으로 바꾸기" },
+                { value: "place", label: "두 수 더 두고 상대가 색 선택" }
+            ]
+        };
+        if (choice === "black") {
+            this.swaps++;
+        } else if (choice === "place") {
+            yield* this.placeStones(2, 2);
+            yield* this.offerSwap(1);
+        }
+    }
+
+    // Soosõrv-8: 흑이 주형 세 수 (중앙, 3x3, 5x5) → 교체 선택 → 백 4수 → 교체 선택
+    //            → 흑이 5수 후보 수(1~8) 선언 → 교체 선택 → 흑이 후보 제시, 백이 하나 골라 6수
+    *soosorv8() {
+        yield* this.placeStones(1, 3, [0, 1, 2]);
+        yield* this.offerSwap(2);
+        yield* this.placeStones(2, 1);
+        yield* this.offerSwap(1);
+        const count = yield { type: "number", color: 1, min: 1, max: 8, text: "흑: 제시할 5수 후보 수를 정하세요 (1~8)" };
+        yield* this.offerSwap(2);
+        yield* this.offerFifth(count);
+    }
+
+    // Taraguchi-10: 1~4수를 중앙, 3x3, 5x5, 7x7 안에 두고 수마다 상대가 교체 선택
+    //               → 흑이 5수 하나를 두고 상대가 교체 선택, 또는 5수 후보 10개 제시 (백이 하나 골라 6수)
+    *taraguchi10() {
+        for (let i = 0; i < 4; i++) {
+            const color = i % 2 === 0 ? 1 : 2;
+            yield* this.placeStones(color, 1, [i]);
+            yield* this.offerSwap(3 - color);
+        }
+        const choice = yield {
+            type: "choice", color: 1, text: "흑: 5수를 하나 두거나 후보 10개를 제시하세요",
+            options: [
+                { value: "single", label: "5수 하나 (상대가 색 선택)" },
+                { value: "offer", label: "5수 후보 10개 제시" }
+            ]
+        };
+        if (choice === "single") {
+            yield* this.placeStones(1, 1);
+            yield* this.offerSwap(2);
+        } else {
+            yield* this.offerFifth(10);
+        }
+    }
+
+    // color 쪽이 다음 count수를 둠 (areas[i]: i번째 돌의 허용 거리)
+    *placeStones(color, count, areas = []) {
+        for (let i = 0; i < count; i++) {
+            const stone = this.nextPlayer;
+            const area = areas[i] ?? null;
+            const where = area === null ? "" : area === 0 ? " (중앙)" : ` (중앙 ${area * 2 + 1}x${area * 2 + 1} 안)`;
+            const point = yield {
+                type: "place", color, stone, area,
+                text: `${OmokOpening.COLOR_NAMES[color]}: ${this.moves.length + 1}수(${OmokOpening.COLOR_NAMES[stone]})를 두세요${where}`
+            };
+            this.place(point);
+        }
+    }
+
+    *offerSwap(color) {
+        const name = OmokOpening.COLOR_NAMES[color];
+        const other = OmokOpening.COLOR_NAMES[3 - color];
+        const choice = yield {
+            type: "choice", color, text: `${name}: 흑백을 바꿀지 고르세요`,
+            options: [{ value: "stay", label: `${name} 그대로` }, { value: "swap", label: `${other}으로 바꾸기` }]
+        };
+        if (choice === "swap") this.swaps++;
+    }
+
+    *offerFifth(count) {
+        const candidates = yield { type: "offer", color: 1, count, text: `흑: 5수 후보 ${count}개를 제시하세요 (대칭으로 같은 자리는 하나만)` };
+        this.candidates = candidates.map(({ x, y }) => ({ x, y }));
+        const pick = yield { type: "select", color: 2, candidates: this.candidates, text: "백: 흑의 5수 후보 중 하나를 고르세요" };
+        this.candidates = [];
+        this.place(pick);
+    }
+
+    // ---- 엔진의 결정 ----
+
+    // 지금 요청에 대한 엔진의 답 - balance(board): 흑 기준 형세 (-1 ~ 1, 0이면 팽팽함)
+    // 돌을 둘 때는 상대가 색을 고르므로 팽팽한 자리를, 후보 제시와 고르기는 자기 색에 유리한 자리를 찾는다
+    static decide(opening, balance, random = Math.random) {
+        const request = opening.request;
+        const own = value => request.color === 1 ? value : -value; // 결정하는 쪽 기준
+        switch (request.type) {
+            case "place": {
+                const scored = OmokOpening.scoreMoves(opening, request, balance);
+                const best = Math.min(...scored.map(s => Math.abs(s.value)));
+                const near = scored.filter(s => Math.abs(s.value) <= best + 0.02); // 비슷한 자리 중 무작위로 - 매번 같은 개시가 되지 않게
+                const { x, y } = near[Math.floor(random() * near.length)];
+                return { x, y };
+            }
+            case "choice": {
+                const value = balance(opening.board);
+                const values = request.options.map(option => option.value);
+                if (values.includes("swap")) return own(value) < 0 ? "swap" : "stay";
+                if (values.includes("place")) return value > 0.15 ? "black" : value < -0.15 ? "white" : "place";
+                // Taraguchi 5수: 상대가 고를 후보 10개 중 가장 나쁜 것도 흑에 유리하면 제시
+                const offers = OmokOpening.bestOffers(opening, 10, balance);
+                return offers.length === 10 && offers[9].value > 0 ? "offer" : "single";
+            }
+            case "number": {
+                // 형세가 좋을수록 후보를 많이 줘도 됨
+                const value = balance(opening.board);
+                return Math.max(request.min, Math.min(request.max, Math.round(request.min + (request.max - request.min) * (value + 1) / 2)));
+            }
+            case "offer":
+                return OmokOpening.bestOffers(opening, request.count, balance).map(({ x, y }) => ({ x, y }));
+            case "select": {
+                let best = null;
+                for (const { x, y } of request.candidates) {
+                    opening.board[y][x] = 1;
+                    const value = own(balance(opening.board));
+                    opening.board[y][x] = 0;
+                    if (!best || value > best.value) best = { x, y, value };
+                }
+                return { x: best.x, y: best.y };
+            }
+        }
+        throw new Error(`Unknown opening request: ${request.type}`);
+    }
+
+    // 둘 수 있는 자리와 그 자리에 돌을 둔 뒤의 흑 기준 형세 (중앙에 가까운 limit개)
+    static scoreMoves(opening, { stone, area = null }, balance, limit = OmokOpening.CANDIDATE_LIMIT) {
+        const center = Math.floor(opening.size / 2);
+        const points = [];
+        for (let y = 0; y < opening.size; y++) {
+            for (let x = 0; x < opening.size; x++) {
+                if (opening.board[y][x] !== 0 || !opening.inArea({ x, y }, area)) continue;
+                // 판 전체가 허용되면 기존 돌 근처(2칸 이내)만
+                if (area === null && opening.moves.length > 0 &&
+                    !opening.moves.some(m => Math.abs(m.x - x) <= 2 && Math.abs(m.y - y) <= 2)) continue;
+                if (opening.rules.isForbidden(opening.board, x, y, stone)) continue;
+                points.push({ x, y, distance: Math.max(Math.abs(x - center), Math.abs(y - center)) });
+            }
+        }
+        points.sort((a, b) => a.distance - b.distance);
+
+        return points.slice(0, limit).map(({ x, y }) => {
+            opening.board[y][x] = stone;
+            const value = balance(opening.board);
+            opening.board[y][x] = 0;
+            return { x, y, value };
+        });
+    }
+
+    // 흑에 유리한 순서로 대칭이 겹치지 않는 5수 후보 count개
+    // 돌 근처 자리를 모두 평가하고, 대칭 때문에 모자라면 판 전체(area = 판 크기)에서 중앙에 가까운 자리로 채운다
+    static bestOffers(opening, count, balance) {
+        const offers = [];
+        const add = moves => {
+            for (const move of moves.sort((a, b) => b.value - a.value)) {
+                if (offers.length === count) break;
+                if (!offers.some(o => o.x === move.x && o.y === move.y || opening.equivalent(o, move))) offers.push(move);
+            }
+        };
+        add(OmokOpening.scoreMoves(opening, { stone: 1 }, balance, Infinity));
+        if (offers.length < count) add(OmokOpening.scoreMoves(opening, { stone: 1, area: opening.size }, balance, count * 8));
+        return offers;
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OmokOpening;
+}
@@ -0,0 +1,128 @@
+// 오프닝 규칙 테스트 - Swap, Swap2, Soosõrv-8, Taraguchi-10의 요청 순서와 답 검사 - 실행: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const OmokOpening = require('./omok_opening.js');
+
+// 요청 종류와 결정하는 색 ("place:1" 등)
+const step = opening => `${opening.request.type}:${opening.request.color}`;
+
+// 요청마다 기대한 종류인지 확인하고 답함
+function walk(opening, script) {
+    for (const [expected, value] of script) {
+        assert.equal(step(opening), expected);
+        opening.answer(value);
+    }
+}
+
+test("알 수 없는 방식은 Error, none은 바로 끝남", () => {
+    assert.throws(() => new OmokOpening("pro"), /Unknown opening protocol/);
+    const opening = new OmokOpening("none");
+    assert.equal(opening.done, true);
+    assert.equal(opening.nextPlayer, 1);
+    assert.throws(() => opening.answer({ x: 7, y: 7 }), /already finished/);
+});
+
+test("Swap: 흑이 흑, 백, 흑을 두고 백이 색을 고름", () => {
+    const opening = new OmokOpening("swap");
+    assert.equal(opening.request.stone, 1);
+    walk(opening, [["place:1", { x: 7, y: 7 }], ["place:1", { x: 8, y: 7 }], ["place:1", { x: 7, y: 8 }]]);
+    assert.deepEqual(opening.moves.map(m => m.player), [1, 2, 1]);
+    walk(opening, [["choice:2", "swap"]]);
+    assert.equal(opening.done, true);
+    assert.equal(opening.swaps, 1);
+    assert.equal(opening.nextPlayer, 2);
+});
+
+test("Swap2: 백으로 4수, 흑으로 교체, 두 수 더 두고 상대가 선택", () => {
+    const first = [["place:1", { x: 7, y: 7 }], ["place:1", { x: 8, y: 8 }], ["place:1", { x: 6, y: 8 }]];
+
+    const white = new OmokOpening("swap2");
+    walk(white, [...first, ["choice:2", "white"]]);
+    assert.deepEqual([white.done, white.swaps, white.moves.length], [true, 0, 3]);
+
+    const black = new OmokOpening("swap2");
+    walk(black, [...first, ["choice:2", "black"]]);
+    assert.deepEqual([black.done, black.swaps], [true, 1]);
+
+    const place = new OmokOpening("swap2");
+    walk(place, [...first, ["choice:2", "place"], ["place:2", { x: 9, y: 9 }], ["place:2", { x: 5, y: 5 }], ["choice:1", "stay"]]);
+    assert.deepEqual(place.moves.map(m => m.player), [1, 2, 1, 2, 1]);
+    assert.deepEqual([place.done, place.swaps, place.nextPlayer], [true, 0, 2]);
+});
+
+test("Soosõrv-8: 주형 세 수의 허용 범위, 후보 수 선언, 대칭이 겹치지 않는 제시, 백의 선택", () => {
+    const opening = new OmokOpening("soosorv8");
+    assert.equal(opening.request.area, 0);
+    assert.throws(() => opening.answer({ x: 8, y: 7 }), /central 1x1 area/);
+    assert.equal(step(opening), "place:1", "틀린 답에도 요청은 그대로");
+    walk(opening, [["place:1", { x: 7, y: 7 }]]);
+    assert.throws(() => opening.answer({ x: 9, y: 7 }), /central 3x3 area/);
+    walk(opening, [["place:1", { x: 8, y: 6 }]]);
+    assert.throws(() => opening.answer({ x: 7, y: 7 }), /already occupied/);
+    assert.throws(() => opening.answer({ x: 10, y: 7 }), /central 5x5 area/);
+    walk(opening, [["place:1", { x: 9, y: 7 }], ["choice:2", "swap"], ["place:2", { x: 7, y: 9 }], ["choice:1", "stay"]]);
+
+    assert.throws(() => opening.answer(9), /from 1 to 8/);
+    walk(opening, [["number:1", 2], ["choice:2", "stay"]]);
+
+    assert.equal(step(opening), "offer:1");
+    assert.throws(() => opening.answer([{ x: 3, y: 3 }]), /exactly 2 moves/);
+    assert.throws(() => opening.answer([{ x: 3, y: 3 }, { x: 3, y: 3 }]), /same by symmetry/);
+    opening.answer([{ x: 10, y: 10 }, { x: 4, y: 4 }]);
+
+    assert.equal(step(opening), "select:2");
+    assert.throws(() => opening.answer({ x: 5, y: 5 }), /offered moves/);
+    opening.answer({ x: 4, y: 4 });
+    assert.equal(opening.done, true);
+    assert.deepEqual(opening.moves[4], { x: 4, y: 4, player: 1 });
+    assert.equal(opening.swaps, 1);
+});
+
+test("Taraguchi-10: 1~4수를 중앙부터 7x7까지 두고 수마다 교체 선택, 5수 후보 10개", () => {
+    const opening = new OmokOpening("taraguchi10");
+    const points = [{ x: 7, y: 7 }, { x: 8, y: 8 }, { x: 5, y: 7 }, { x: 10, y: 4 }];
+    for (let i = 0; i < 4; i++) {
+        const color = i % 2 === 0 ? 1 : 2;
+        assert.equal(opening.request.area, i);
+        assert.equal(opening.request.stone, color);
+        walk(opening, [[`place:${color}`, points[i]], [`choice:${3 - color}`, "stay"]]);
+    }
+    assert.throws(() => new OmokOpening("taraguchi10").answer({ x: 0, y: 0 }), /central 1x1 area/);
+
+    walk(opening, [["choice:1", "offer"]]);
+    assert.equal(opening.request.count, 10);
+    const offers = [];
+    for (let x = 0; x < 15 && offers.length < 10; x++) offers.push({ x, y: 0 });
+    walk(opening, [["offer:1", offers], ["select:2", offers[3]]]);
+    assert.equal(opening.done, true);
+    assert.equal(opening.moves.length, 5);
+});
+
+test("toJSON/fromJSON: 받은 답을 다시 넣어 같은 판, 교체 횟수, 요청을 만듦", () => {
+    const opening = new OmokOpening("soosorv8", 15, "renju");
+    walk(opening, [
+        ["place:1", { x: 7, y: 7 }], ["place:1", { x: 8, y: 6 }], ["place:1", { x: 9, y: 7 }],
+        ["choice:2", "swap"], ["place:2", { x: 7, y: 9 }], ["choice:1", "stay"], ["number:1", 3]
+    ]);
+    const copy = OmokOpening.fromJSON(JSON.parse(JSON.stringify(opening.toJSON())));
+    assert.deepEqual(copy.board, opening.board);
+    assert.deepEqual(copy.moves, opening.moves);
+    assert.equal(copy.swaps, opening.swaps);
+    assert.deepEqual(copy.request, opening.request);
+    assert.deepEqual(copy.toJSON(), opening.toJSON());
+    assert.equal(copy.rules.ruleSet, "renju");
+});
+
+test("엔진의 결정(decide)만으로 모든 방식이 규칙에 맞게 끝나고, 단계마다 JSON으로 옮겨도 같은 요청", () => {
+    const balance = board => (board[7][8] - board[8][7]) * 0.1;
+    for (const protocol of Object.keys(OmokOpening.PROTOCOLS)) {
+        const opening = new OmokOpening(protocol);
+        for (let i = 0; !opening.done; i++) {
+            assert.ok(i < 40, `${protocol}: 끝나지 않음`);
+            const copy = OmokOpening.fromJSON(opening.toJSON());
+            assert.deepEqual(copy.request, opening.request);
+            opening.answer(OmokOpening.decide(copy, balance, () => 0));
+        }
+        for (const { x, y, player } of opening.moves) assert.equal(opening.board[y][x], player);
+    }
+});
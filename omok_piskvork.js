@@ -0,0 +1,248 @@
+#!/usr/bin/env node
+// 오목 Piskvork(Gomocup) 브레인 어댑터 - 표준 입출력으로 Piskvork 프로토콜을 말해서
+// 등록된 엔진을 오목 GUI(Piskvork, Yixin Board 등)와 Gomocup 대회 관리자에서 쓸 수 있게 함
+//
+// 사용법:
+//   node omok_piskvork.js                        (기본 엔진 counter)
+//   node omok_piskvork.js 2025
+//   node omok_piskvork.js counter:maxDepth=8:vctDepth=14
+//
+// 관리자 → 브레인 (한 줄에 명령 하나, 좌표는 0부터 시작하는 "x,y"):
+//   START <크기>           새 판 준비 → OK | ERROR <이유>
+//   RESTART                같은 크기로 새 판 → OK
+//   BEGIN                  브레인이 흑으로 첫 수 → x,y
+//   TURN x,y               상대의 수 → 브레인의 수 x,y
+//   BOARD ... DONE         "x,y,필드" 줄들로 국면 전달 (1 = 브레인 돌, 2 = 상대 돌, 3 = 연속 대국의 승리 줄) → 브레인의 수
+//   TAKEBACK x,y           그 자리의 돌 되돌리기 → OK
+//   INFO <키> <값>         timeout_turn, timeout_match, time_left (ms), rule (비트: 1 정확히 5목, 4 렌주, 8 카로) - 응답 없음
+//   ABOUT                  name="...", version="..."
+//   END                    종료
+// 모르는 명령에는 UNKNOWN, 잘못된 명령에는 ERROR로 답한다.
+//
+// 수당 시간은 timeout_turn과 남은 대국 시간(time_left / 25) 중 작은 쪽의 80%를 엔진의 timeLimit으로 준다.
+// timeLimit 옵션이 없는 엔진은 시간 정보와 관계없이 자기 설정대로 읽는다.
+// 흑백은 둘 차례의 돌 수로 정한다 (돌이 짝수 개면 흑 차례). 렌주에서 금수와 승리 판정도 이 색을 따른다.
+
+const readline = require('readline');
+const OmokRules = require('./omok_rules.js');
+const OmokEngines = require('./omok_engines.js');
+
+class OmokPiskvorkBrain {
+    // INFO rule 비트 → 룰셋 (위에서부터 먼저 맞는 것, 2 = 연속 대국은 무시)
+    static RULE_FLAGS = [[8, "caro"], [4, "renju"], [1, "gomoku"]];
+
+    static MIN_SIZE = 5;
+    static MAX_SIZE = 32;
+    static MIN_TIME = 100; // 수당 최소 탐색 시간(ms) - timeout_turn 0("최대한 빨리")일 때도 이만큼은 생각함
+    static TIME_MARGIN = 0.8; // 제한 시간 중 탐색에 쓰는 비율 (나머지는 통신, 판 복사 등의 여유)
+    static MOVES_TO_GO = 25; // 대국 전체 시간(time_left)을 나눌 예상 남은 수
+
+    static ruleSetFromFlags(flags) {
+        const match = OmokPiskvorkBrain.RULE_FLAGS.find(([bit]) => flags & bit);
+        return match ? match[1] : "freestyle";
+    }
+
+    static ruleFlags(ruleSet) {
+        const match = OmokPiskvorkBrain.RULE_FLAGS.find(([, name]) => name === ruleSet);
+        return match ? match[0] : 0;
+    }
+
+    // spec: 엔진 지정 ("counter", "counter:maxDepth=8" ...)
+    constructor(spec = "counter") {
+        const { id, options } = OmokEngines.parseSpec(spec);
+        this.engineId = id;
+        this.engineOptions = options;
+        this.engine = null; // 판 크기나 룰셋이 바뀌면 다시 만듦
+        this.size = 0;
+        this.ruleSet = "freestyle";
+        this.board = null;
+        this.timeoutTurn = null; // ms (INFO timeout_turn, null이면 엔진 설정 그대로)
+        this.timeoutMatch = 0; // ms (0 = 제한 없음)
+        this.timeLeft = null; // ms (INFO time_left)
+        this.boardLines = null; // BOARD ~ DONE 사이에 받은 줄
+        this.ended = false;
+    }
+
+    // 명령 한 줄 처리 → 관리자에게 보낼 줄 목록
+    handle(line) {
+        const text = line.trim();
+        if (!text) return [];
+        if (this.boardLines) return this.handleBoardLine(text);
+
+        const [command, ...args] = text.split(/\s+/);
+        switch (command.toUpperCase()) {
+            case "START": return this.start(parseInt(args[0], 10));
+            case "RESTART": return this.start(this.size);
+            case "BEGIN": return this.board ? [this.play()] : ["ERROR no board - send START first"];
+            case "TURN": return this.turn(args.join(""));
+            case "BOARD":
+                if (!this.board) return ["ERROR no board - send START first"];
+                this.boardLines = [];
+                return [];
+            case "TAKEBACK": return this.takeback(args.join(""));
+            case "INFO": return this.info(args[0], args.slice(1).join(" "));
+            case "ABOUT": {
+                const engine = OmokEngines.get(this.engineId);
+                return [`name="${engine.name}", version="${engine.version}"`];
+            }
+            case "END":
+                this.ended = true;
+                return [];
+            default:
+                return [`UNKNOWN ${command}`];
+        }
+    }
+
+    start(size) {
+        if (!(size >= OmokPiskvorkBrain.MIN_SIZE && size <= OmokPiskvorkBrain.MAX_SIZE)) {
+            return [`ERROR unsupported board size ${size} (${OmokPiskvorkBrain.MIN_SIZE}-${OmokPiskvorkBrain.MAX_SIZE})`];
+        }
+        if (size !== this.size) this.engine = null;
+        this.size = size;
+        this.board = Array.from({ length: size }, () => Array(size).fill(0));
+        if (this.engine) this.engine.newGame();
+        return ["OK"];
+    }
+
+    info(key, value) {
+        const number = parseInt(value, 10);
+        switch ((key || "").toLowerCase()) {
+            case "timeout_turn": this.timeoutTurn = number; break;
+            case "timeout_match": this.timeoutMatch = number; break;
+            case "time_left": this.timeLeft = number; break;
+            case "rule": {
+                const ruleSet = OmokPiskvorkBrain.ruleSetFromFlags(number);
+                if (ruleSet !== this.ruleSet) this.engine = null;
+                this.ruleSet = ruleSet;
+                break;
+            }
+        }
+        return []; // max_memory, game_type, evaluate, folder 등은 무시
+    }
+
+    // "x,y" → { x, y } (판 밖이면 null)
+    parsePoint(text) {
+        const match = /^(\d+),(\d+)$/.exec(text);
+        if (!match) return null;
+        const x = parseInt(match[1], 10);
+        const y = parseInt(match[2], 10);
+        return x < this.size && y < this.size ? { x, y } : null;
+    }
+
+    turn(text) {
+        if (!this.board) return ["ERROR no board - send START first"];
+        const point = this.parsePoint(text);
+        if (!point) return [`ERROR invalid move ${text}`];
+        if (this.board[point.y][point.x] !== 0) return [`ERROR occupied ${text}`];
+        this.board[point.y][point.x] = this.colorToMove();
+        return [this.play()];
+    }
+
+    handleBoardLine(text) {
+        if (text.toUpperCase() !== "DONE") {
+            this.boardLines.push(text);
+            return [];
+        }
+
+        const lines = this.boardLines;
+        this.boardLines = null;
+        const own = [], opponent = [];
+        for (const line of lines) {
+            const [x, y, field] = line.split(",").map(s => parseInt(s, 10));
+            const point = this.parsePoint(`${x},${y}`);
+            if (!point) return [`ERROR invalid board line ${line}`];
+            if (field === 1) own.push(point);
+            else if (field === 2) opponent.push(point);
+        }
+
+        // 브레인이 둘 차례 - 돌 수가 같으면 브레인이 흑
+        const color = own.length === opponent.length ? 1 : 2;
+        if (opponent.length - own.length !== color - 1) {
+            return [`ERROR inconsistent stone counts (own ${own.length}, opponent ${opponent.length})`];
+        }
+        this.board = Array.from({ length: this.size }, () => Array(this.size).fill(0));
+        for (const { x, y } of own) this.board[y][x] = color;
+        for (const { x, y } of opponent) this.board[y][x] = 3 - color;
+        return [this.play()];
+    }
+
+    takeback(text) {
+        if (!this.board) return ["ERROR no board - send START first"];
+        const point = this.parsePoint(text);
+        if (!point || this.board[point.y][point.x] === 0) return [`ERROR nothing to take back at ${text}`];
+        this.board[point.y][point.x] = 0;
+        return ["OK"];
+    }
+
+    colorToMove() {
+        const stones = this.board.reduce((sum, row) => sum + row.filter(v => v !== 0).length, 0);
+        return stones % 2 === 0 ? 1 : 2;
+    }
+
+    // 수당 탐색 시간 - 한 수 제한과 남은 대국 시간 중 작은 쪽 (정보가 없으면 null: 엔진 설정 그대로)
+    moveBudget() {
+        const limits = [];
+        if (this.timeoutTurn !== null) limits.push(this.timeoutTurn > 0 ? this.timeoutTurn : OmokPiskvorkBrain.MIN_TIME);
+        if (this.timeoutMatch > 0 && this.timeLeft !== null) limits.push(this.timeLeft / OmokPiskvorkBrain.MOVES_TO_GO);
+        if (limits.length === 0) return null;
+        return Math.max(OmokPiskvorkBrain.MIN_TIME, Math.floor(Math.min(...limits) * OmokPiskvorkBrain.TIME_MARGIN));
+    }
+
+    getEngine() {
+        if (!this.engine) {
+            this.engine = OmokEngines.create(this.engineId, this.size, { ...this.engineOptions, ruleSet: this.ruleSet });
+        }
+        return this.engine;
+    }
+
+    // 둘 차례의 색으로 한 수 두고 "x,y"
+    play() {
+        const engine = this.getEngine();
+        const budget = this.moveBudget();
+        if (budget !== null && "timeLimit" in OmokEngines.get(this.engineId).options) engine.timeLimit = budget;
+
+        const color = this.colorToMove();
+        const move = engine.getMove(this.board.map(row => [...row]), color) ||
+            new OmokRules(this.size, this.ruleSet).findLegalMove(this.board, color);
+        if (!move) return "ERROR no legal move";
+        this.board[move.y][move.x] = color;
+        return `${move.x},${move.y}`;
+    }
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    if (args[0] === "--help" || args[0] === "-h") {
+        const usage = require('fs').readFileSync(__filename, "utf8").split("\n")
+            .filter(line => line.startsWith("//")).map(line => line.replace(/^\/\/ ?/, ""));
+        console.log(usage.join("\n"));
+        return;
+    }
+
+    let brain;
+    try {
+        brain = new OmokPiskvorkBrain(args[0]);
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+
+    const input = readline.createInterface({ input: process.stdin, terminal: false });
+    input.on("line", line => {
+        let output;
+        try {
+            output = brain.handle(line);
+        } catch (err) {
+            output = [`ERROR ${err.message}`];
+        }
+        for (const out of output) process.stdout.write(out + "\n");
+        if (brain.ended) input.close();
+    });
+    input.on("close", () => process.exit(0));
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = OmokPiskvorkBrain;
@@ -0,0 +1,208 @@
+// Piskvork 프로토콜 테스트 - 브레인 어댑터(omok_piskvork.js)의 명령 처리와 관리자(omok_piskvork_manager.js)의 판정
+// 실행: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const OmokRules = require('./omok_rules.js');
+const OmokPiskvorkBrain = require('./omok_piskvork.js');
+const { parseArgs, prepareBrain, playGame } = require('./omok_piskvork_manager.js');
+
+// 얕게 읽어 빨리 답하는 브레인 - setup 명령을 차례로 보낸 상태
+function createBrain(...setup) {
+    const brain = new OmokPiskvorkBrain("counter:maxDepth=2:vctDepth=2");
+    for (const line of ["INFO timeout_turn 200", ...setup]) brain.handle(line);
+    return brain;
+}
+
+const point = reply => {
+    const match = /^(\d+),(\d+)$/.exec(reply);
+    assert.ok(match, `x,y 응답이어야 함: ${reply}`);
+    return { x: Number(match[1]), y: Number(match[2]) };
+};
+
+test("INFO rule 비트와 룰셋", () => {
+    assert.equal(OmokPiskvorkBrain.ruleSetFromFlags(0), "freestyle");
+    assert.equal(OmokPiskvorkBrain.ruleSetFromFlags(1), "gomoku");
+    assert.equal(OmokPiskvorkBrain.ruleSetFromFlags(4), "renju");
+    assert.equal(OmokPiskvorkBrain.ruleSetFromFlags(2 | 8), "caro");
+    for (const ruleSet of ["freestyle", "gomoku", "renju", "caro"]) {
+        assert.equal(OmokPiskvorkBrain.ruleSetFromFlags(OmokPiskvorkBrain.ruleFlags(ruleSet)), ruleSet);
+    }
+});
+
+test("START 전의 명령, 지원하지 않는 크기, 모르는 명령", () => {
+    const brain = createBrain();
+    assert.match(brain.handle("BEGIN")[0], /^ERROR/);
+    assert.match(brain.handle("TURN 1,1")[0], /^ERROR/);
+    assert.match(brain.handle("START 4")[0], /^ERROR unsupported board size/);
+    assert.match(brain.handle("START 40")[0], /^ERROR unsupported board size/);
+    assert.deepEqual(brain.handle("START 15"), ["OK"]);
+    assert.deepEqual(brain.handle("RECTSTART 15,20"), ["UNKNOWN RECTSTART"]);
+    assert.match(brain.handle("ABOUT")[0], /^name="Counter AI", version="[^"]+"$/);
+    assert.deepEqual(brain.handle("INFO max_memory 83886080"), []);
+    assert.deepEqual(brain.handle("   "), []);
+});
+
+test("BEGIN과 TURN - 빈 자리에 두고, 잘못된 수나 이미 돌이 있는 자리는 ERROR", () => {
+    const brain = createBrain("START 15");
+    const first = point(brain.handle("BEGIN")[0]);
+    assert.equal(brain.board[first.y][first.x], 1);
+
+    assert.match(brain.handle(`TURN ${first.x},${first.y}`)[0], /^ERROR occupied/);
+    assert.match(brain.handle("TURN 15,0")[0], /^ERROR invalid move/);
+    assert.match(brain.handle("TURN a,b")[0], /^ERROR invalid move/);
+
+    const reply = point(brain.handle("TURN 0,0")[0]);
+    assert.equal(brain.board[0][0], 2);
+    assert.equal(brain.board[reply.y][reply.x], 1);
+});
+
+test("BOARD ... DONE - 돌 수로 색을 정하고 상대의 5목 자리를 막음", () => {
+    const brain = createBrain("START 15");
+    // 상대(2) 돌 4개가 한 줄, 브레인(1) 돌 4개 - 돌 수가 같으니 브레인이 흑
+    const lines = ["BOARD", "3,3,2", "4,3,2", "5,3,2", "6,3,2", "10,10,1", "12,10,1", "10,12,1", "12,12,1"];
+    for (const line of lines) assert.deepEqual(brain.handle(line), []);
+    const reply = brain.handle("DONE")[0];
+    assert.ok(reply === "2,3" || reply === "7,3", `막는 수여야 함: ${reply}`);
+    const { x, y } = point(reply);
+    assert.equal(brain.board[y][x], 1);
+});
+
+test("BOARD의 돌 수가 맞지 않으면 ERROR", () => {
+    const brain = createBrain("START 15");
+    for (const line of ["BOARD", "1,1,1", "2,2,1", "3,3,2"]) brain.handle(line);
+    assert.match(brain.handle("DONE")[0], /^ERROR inconsistent stone counts/);
+    assert.equal(brain.boardLines, null);
+});
+
+test("TAKEBACK은 돌을 되돌리고 빈 자리면 ERROR", () => {
+    const brain = createBrain("START 15");
+    brain.handle("TURN 7,7");
+    assert.deepEqual(brain.handle("TAKEBACK 7,7"), ["OK"]);
+    assert.equal(brain.board[7][7], 0);
+    assert.match(brain.handle("TAKEBACK 7,7")[0], /^ERROR nothing to take back/);
+});
+
+test("렌주에서 흑 브레인은 금수 자리에 두지 않음", () => {
+    const brain = createBrain(`INFO rule ${OmokPiskvorkBrain.ruleFlags("renju")}`, "START 15");
+    // 흑(브레인) 돌 4개로 (7,7)이 쌍삼, 백 돌은 구석에만 있는 국면
+    const lines = ["BOARD", "5,7,1", "6,7,1", "7,5,1", "7,6,1", "0,0,2", "14,0,2", "0,14,2", "14,14,2", "DONE"];
+    let reply;
+    for (const line of lines) reply = brain.handle(line);
+    const { x, y } = point(reply[0]);
+    brain.board[y][x] = 0;
+    assert.equal(new OmokRules(15, "renju").isForbidden(brain.board, x, y, 1), false);
+});
+
+test("수당 시간 - timeout_turn과 남은 대국 시간 / 25 중 작은 쪽의 80%", () => {
+    const brain = new OmokPiskvorkBrain("counter");
+    assert.equal(brain.moveBudget(), null);
+    brain.handle("INFO timeout_turn 5000");
+    assert.equal(brain.moveBudget(), 4000);
+    brain.handle("INFO timeout_match 100000");
+    brain.handle("INFO time_left 50000");
+    assert.equal(brain.moveBudget(), 1600);
+    brain.handle("INFO timeout_turn 0");
+    assert.equal(brain.moveBudget(), OmokPiskvorkBrain.MIN_TIME);
+});
+
+// ---- 관리자의 판정 (자식 프로세스 대신 정해진 답을 돌려주는 브레인) ----
+
+// replies는 request와 receive가 차례로 읽는 줄 (null이면 답 없음)
+function scriptedBrain(name, replies, { delay = 0, exited = false } = {}) {
+    return {
+        name,
+        exited,
+        requests: [],
+        send() {},
+        async receive() {
+            return replies.length > 0 ? replies.shift() : null;
+        },
+        async request(lines) {
+            this.requests.push(lines);
+            if (delay > 0) await new Promise(resolve => setTimeout(resolve, delay));
+            return this.receive();
+        }
+    };
+}
+
+const matchOptions = overrides => ({ ...parseArgs([]), timeoutTurn: 1000, grace: 1000, ...overrides });
+
+test("관리자: 5목이면 승리, 첫 수는 BEGIN이고 다음부터 TURN", async () => {
+    const opts = matchOptions({ rule: "freestyle" });
+    const black = scriptedBrain("black", ["0,0", "1,0", "2,0", "3,0", "4,0"]);
+    const white = scriptedBrain("white", ["0,5", "1,5", "2,5", "3,5"]);
+    const result = await playGame(black, white, opts, new OmokRules(opts.size, opts.rule));
+    assert.equal(result.winner, 1);
+    assert.equal(result.reason, "five");
+    assert.equal(result.moves.length, 9);
+    assert.deepEqual(black.requests[0], ["BEGIN"]);
+    assert.deepEqual(white.requests[0], ["TURN 0,0"]);
+});
+
+test("관리자: 불법 수, 잘못된 형식, ERROR 응답은 프로토콜 위반으로 패배", async () => {
+    const opts = matchOptions({});
+    const rules = new OmokRules(opts.size, opts.rule);
+
+    const occupied = await playGame(scriptedBrain("b", ["7,7"]), scriptedBrain("w", ["7,7"]), opts, rules);
+    assert.deepEqual([occupied.winner, occupied.reason], [1, "illegal"]);
+
+    // 흑의 쌍삼 자리
+    const forbidden = await playGame(
+        scriptedBrain("b", ["5,7", "6,7", "7,5", "7,6", "7,7"]),
+        scriptedBrain("w", ["0,0", "14,0", "0,14", "14,14"]), opts, rules);
+    assert.deepEqual([forbidden.winner, forbidden.reason], [2, "illegal"]);
+
+    const garbage = await playGame(scriptedBrain("b", ["h8"]), scriptedBrain("w", []), opts, rules);
+    assert.deepEqual([garbage.winner, garbage.reason], [2, "bad-response"]);
+
+    const error = await playGame(scriptedBrain("b", ["ERROR out of memory"]), scriptedBrain("w", []), opts, rules);
+    assert.deepEqual([error.winner, error.reason], [2, "error"]);
+});
+
+test("관리자: 제한 시간을 넘긴 답이나 살아 있는 브레인의 무응답은 시간패, 끝난 브레인은 오류", async () => {
+    const opts = matchOptions({ timeoutTurn: 10, grace: 10 });
+    const rules = new OmokRules(opts.size, opts.rule);
+
+    const slow = await playGame(scriptedBrain("b", ["7,7"], { delay: 50 }), scriptedBrain("w", []), opts, rules);
+    assert.deepEqual([slow.winner, slow.reason], [2, "time"]);
+
+    const silent = await playGame(scriptedBrain("b", []), scriptedBrain("w", []), opts, rules);
+    assert.deepEqual([silent.winner, silent.reason], [2, "time"]);
+
+    const crashed = await playGame(scriptedBrain("b", [], { exited: true }), scriptedBrain("w", []), opts, rules);
+    assert.deepEqual([crashed.winner, crashed.reason], [2, "error"]);
+});
+
+test("관리자: 초반 수는 양쪽 브레인에 BOARD로 전달", async () => {
+    const opts = parseArgs(["--rule", "freestyle", "--opening", "h8 i9", "--max-moves", "4"]);
+    const black = scriptedBrain("b", ["0,0"]);
+    const white = scriptedBrain("w", ["1,1"]);
+    const result = await playGame(black, white, opts, new OmokRules(opts.size, opts.rule));
+    assert.deepEqual([result.winner, result.reason], [0, "move-limit"]);
+    assert.deepEqual(black.requests[0], ["BOARD", "7,7,1", "8,6,2", "DONE"]);
+    assert.deepEqual(white.requests[0], ["BOARD", "7,7,2", "8,6,1", "0,0,2", "DONE"]);
+});
+
+test("관리자: 시간패한 브레인의 늦은 수는 다음 판 RESTART에서 건너뜀", async () => {
+    const opts = matchOptions({ rule: "freestyle", timeoutTurn: 10, grace: 10 });
+    const rules = new OmokRules(opts.size, opts.rule);
+    // 흑은 첫 수에 답하지 못하고, 그 수(7,7)를 RESTART의 OK보다 먼저 보냄
+    const slow = scriptedBrain("slow", [null, "7,7", "OK", "0,0", "1,0", "2,0", "3,0"]);
+    const fast = scriptedBrain("fast", ["OK", "0,5", "1,5", "2,5", "3,5", "4,5"]);
+
+    const first = await playGame(slow, fast, opts, rules);
+    assert.deepEqual([first.winner, first.reason], [2, "time"]);
+
+    for (const brain of [slow, fast]) await prepareBrain(brain, opts, false);
+    assert.deepEqual(slow.requests[1], ["RESTART"]);
+
+    const second = await playGame(fast, slow, opts, rules);
+    assert.deepEqual([second.winner, second.reason], [1, "five"]);
+    assert.deepEqual(second.moves[1], { x: 0, y: 0, player: 2, time: second.moves[1].time });
+});
+
+test("관리자: RESTART에 OK가 아닌 답은 대국 중단", async () => {
+    const opts = matchOptions({});
+    await assert.rejects(prepareBrain(scriptedBrain("b", ["ERROR no memory"]), opts, false), /expected OK, got ERROR no memory/);
+    await assert.rejects(prepareBrain(scriptedBrain("b", ["7,7"]), opts, false), /expected OK, got no response/);
+});
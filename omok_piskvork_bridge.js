@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+// 오목 Piskvork WebSocket 브리지 - 브라우저 아레나(index.html)의 외부 엔진 연결을 받아
+// 연결마다 브레인 프로세스를 띄우고 프로토콜 줄을 그대로 주고받음 (외부 패키지 없이 Node만으로 동작)
+//
+// 사용법:
+//   node omok_piskvork_bridge.js                                   (기본 브레인: node omok_piskvork.js counter)
+//   node omok_piskvork_bridge.js -- node omok_piskvork.js mcts
+//   node omok_piskvork_bridge.js --port 8766 -- ./pbrain-myengine
+//
+// 옵션:
+//   --port <n>        WebSocket 포트 (기본 8765)
+//   --host <addr>     받을 주소 (기본 127.0.0.1 - 이 컴퓨터에서만 연결 가능)
+//   --log             주고받은 줄을 표준 오류로 출력
+//   -- <명령 ...>     브레인 실행 명령 (연결마다 새로 실행)
+//
+// 아레나에서는 "외부 엔진" 패널에 ws://localhost:8765 를 넣고 연결한다.
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const readline = require('readline');
+const { spawn } = require('child_process');
+
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+const DEFAULTS = {
+    port: 8765,
+    host: "127.0.0.1",
+    log: false,
+    command: ["node", path.join(__dirname, "omok_piskvork.js"), "counter"]
+};
+
+function parseArgs(argv) {
+    const opts = { ...DEFAULTS };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+        switch (arg) {
+            case "--port": opts.port = parseInt(next(), 10); break;
+            case "--host": opts.host = next(); break;
+            case "--log": opts.log = true; break;
+            case "--":
+                opts.command = argv.slice(i + 1);
+                i = argv.length;
+                break;
+            case "--help":
+            case "-h":
+                opts.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (opts.command.length === 0) throw new Error("Missing brain command after --");
+    if (!(opts.port > 0 && opts.port < 65536)) throw new Error(`Invalid port: ${opts.port}`);
+    return opts;
+}
+
+// WebSocket 프레임 하나 (서버 → 브라우저, 마스크 없음)
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// 버퍼 앞의 완성된 프레임 → { fin, opcode, payload, length } (아직 다 오지 않았으면 null)
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buffer.length < offset + length) return null;
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (masked) {
+        for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskOffset + (i & 3)];
+    }
+    return { fin, opcode, payload, length: offset + length };
+}
+
+// 연결 하나 - 브레인 프로세스와 WebSocket 사이에서 줄을 전달
+function bridgeConnection(socket, opts, label) {
+    const [program, ...args] = opts.command;
+    const brain = spawn(program, args, { stdio: ["pipe", "pipe", "inherit"] });
+    let buffer = Buffer.alloc(0);
+    let fragments = [];
+    let closed = false;
+
+    const log = (direction, line) => {
+        if (opts.log) console.error(`${label} ${direction} ${line}`);
+    };
+
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        console.error(`${label} closed`);
+        if (!socket.destroyed) socket.end(encodeFrame(0x8));
+        if (brain.exitCode === null) {
+            // END로 끝낼 기회를 주고, 1초 안에 끝나지 않으면 강제 종료
+            brain.stdin.write("END\n", () => {});
+            brain.stdin.end();
+            setTimeout(() => {
+                if (brain.exitCode === null) brain.kill();
+            }, 1000);
+        }
+    };
+
+    readline.createInterface({ input: brain.stdout }).on("line", line => {
+        log(">", line);
+        if (!socket.destroyed) socket.write(encodeFrame(0x1, Buffer.from(line, "utf8")));
+    });
+    brain.stdin.on("error", () => {}); // 브레인이 먼저 끝났을 때 쓰기 오류 무시
+    brain.on("error", err => {
+        console.error(`${label} brain: ${err.message}`);
+        close();
+    });
+    brain.on("exit", close);
+
+    socket.on("data", data => {
+        buffer = Buffer.concat([buffer, data]);
+        for (let frame = decodeFrame(buffer); frame; frame = decodeFrame(buffer)) {
+            buffer = buffer.subarray(frame.length);
+            switch (frame.opcode) {
+                case 0x0: // 이어지는 조각
+                case 0x1: // 텍스트
+                    fragments.push(frame.payload);
+                    if (frame.fin) {
+                        const text = Buffer.concat(fragments).toString("utf8");
+                        fragments = [];
+                        for (const line of text.split(/\r?\n/)) {
+                            log("<", line);
+                            if (brain.exitCode === null) brain.stdin.write(line + "\n");
+                        }
+                    }
+                    break;
+                case 0x8: // 닫기
+                    close();
+                    return;
+                case 0x9: // ping
+                    socket.write(encodeFrame(0xA, frame.payload));
+                    break;
+            }
+        }
+    });
+    socket.on("close", close);
+    socket.on("error", close);
+}
+
+function startBridge(opts) {
+    let connections = 0;
+    const server = http.createServer((req, res) => {
+        res.writeHead(426, { "Content-Type": "text/plain" });
+        res.end("WebSocket connection required\n");
+    });
+
+    server.on("upgrade", (req, socket) => {
+        const key = req.headers["sec-websocket-key"];
+        if (!key || (req.headers.upgrade || "").toLowerCase() !== "websocket") {
+            socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+            return;
+        }
+        const accept = crypto.createHash("sha1").update(key + WEBSOCKET_GUID).digest("base64");
+        socket.write([
+            "HTTP/1.1 101 Switching Protocols",
+            "Upgrade: websocket",
+            "Connection: Upgrade",
+            `Sec-WebSocket-Accept: ${accept}`,
+            "", ""
+        ].join("\r\n"));
+
+        const label = `#${++connections}`;
+        console.error(`${label} connected from ${req.headers.origin || socket.remoteAddress}`);
+        bridgeConnection(socket, opts, label);
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(opts.port, opts.host, () => resolve(server));
+    });
+}
+
+async function main() {
+    let opts;
+    try {
+        opts = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+    if (opts.help) {
+        const usage = fs.readFileSync(__filename, "utf8").split("\n")
+            .filter(line => line.startsWith("//")).map(line => line.replace(/^\/\/ ?/, ""));
+        console.log(usage.join("\n"));
+        return;
+    }
+
+    try {
+        await startBridge(opts);
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+    console.error(`Piskvork bridge listening on ws://${opts.host}:${opts.port} - brain: ${opts.command.join(" ")}`);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { parseArgs, encodeFrame, decodeFrame, startBridge };
@@ -0,0 +1,172 @@
+// 오목 외부 엔진 클라이언트 - WebSocket 브리지(omok_piskvork_bridge.js)를 거쳐 Piskvork(Gomocup) 프로토콜을 말하는
+// 외부 브레인에 착수를 요청 (결과 형식은 OmokAIClient.requestMove와 같음)
+//
+// 브레인은 명령을 받은 순서대로 답하므로 답을 기다리는 명령을 줄로 세워 두고 응답 줄을 차례로 맞춘다.
+// 수마다 국면 전체를 BOARD로 보내서 무르기나 새 대국에도 브레인의 판이 어긋나지 않게 한다.
+
+class OmokPiskvorkClient {
+    static RULE_FLAGS = { freestyle: 0, gomoku: 1, renju: 4, caro: 8 }; // INFO rule 값 (omok_piskvork.js와 같음)
+    static CONNECT_TIMEOUT = 5000; // 연결과 ABOUT 응답 대기 (ms)
+    static GRACE = 2000; // 수당 제한 시간을 넘겨 기다려 주는 시간 (ms)
+
+    constructor(url) {
+        this.url = url;
+        this.socket = null;
+        this.name = "";
+        this.version = "";
+        this.config = { boardSize: 15, ruleSet: "renju", timeoutTurn: 3000 };
+        this.started = false; // 지금 설정으로 START를 보냈는지
+        this.replies = []; // 답을 기다리는 명령 [{ resolve }] - 보낸 순서대로
+        this.onMessage = null; // 브레인의 MESSAGE/DEBUG 줄
+        this.onClose = null; // 연결이 끊겼을 때
+    }
+
+    get connected() {
+        return this.socket !== null;
+    }
+
+    // 연결하고 ABOUT으로 브레인 이름 확인 → { name, version }
+    connect() {
+        return new Promise((resolve, reject) => {
+            let socket;
+            try {
+                socket = new WebSocket(this.url);
+            } catch (err) {
+                reject(err);
+                return;
+            }
+            const timer = setTimeout(() => {
+                socket.close();
+                reject(new Error(`Connection timed out: ${this.url}`));
+            }, OmokPiskvorkClient.CONNECT_TIMEOUT);
+
+            socket.onopen = async () => {
+                clearTimeout(timer);
+                this.socket = socket;
+                const about = await this.command(["ABOUT"], OmokPiskvorkClient.CONNECT_TIMEOUT);
+                const field = key => {
+                    const match = about && new RegExp(`${key}="([^"]*)"`).exec(about);
+                    return match ? match[1] : "";
+                };
+                this.name = field("name") || "External";
+                this.version = field("version");
+                resolve({ name: this.name, version: this.version });
+            };
+            socket.onerror = () => {
+                clearTimeout(timer);
+                reject(new Error(`Cannot connect to ${this.url}`));
+            };
+            socket.onmessage = (e) => {
+                for (const line of String(e.data).split(/\r?\n/)) this.handleLine(line.trim());
+            };
+            socket.onclose = () => {
+                const wasConnected = this.socket !== null;
+                this.socket = null;
+                for (const reply of this.replies.splice(0)) reply.resolve(null);
+                if (wasConnected && this.onClose) this.onClose();
+            };
+        });
+    }
+
+    disconnect() {
+        if (!this.socket) return;
+        this.send(["END"]);
+        this.socket.close();
+    }
+
+    handleLine(line) {
+        if (!line) return;
+        if (/^(MESSAGE|DEBUG)\b/i.test(line)) {
+            if (this.onMessage) this.onMessage(line);
+            return;
+        }
+        const reply = this.replies.shift();
+        if (reply) reply.resolve(line);
+    }
+
+    send(lines) {
+        if (this.socket) this.socket.send(lines.join("\n"));
+    }
+
+    // 답이 한 줄 오는 명령 - 시간 안에 답이 없으면 null (늦게 온 답은 버림)
+    command(lines, timeout) {
+        return new Promise(resolve => {
+            if (!this.socket) {
+                resolve(null);
+                return;
+            }
+            const reply = { resolve };
+            const timer = setTimeout(() => {
+                reply.resolve = () => {};
+                resolve(null);
+            }, timeout);
+            reply.resolve = line => {
+                clearTimeout(timer);
+                resolve(line);
+            };
+            this.replies.push(reply);
+            this.send(lines);
+        });
+    }
+
+    // 판 크기, 룰셋, 수당 시간(ms) - 다음 요청 때 START로 브레인에 알림
+    configure(boardSize, ruleSet, timeoutTurn = this.config.timeoutTurn) {
+        this.config = { boardSize, ruleSet, timeoutTurn };
+        this.started = false;
+    }
+
+    newGame() {
+        this.started = false;
+    }
+
+    // 착수 요청 - 결과 { move, thinkTime } (브레인이 답하지 않거나 잘못 답하면 move: null)
+    // clock(대국 시계 { time, increment, byoyomi, periods })을 주면 그 수당 시간을 timeout_turn으로, 남은 본 시간을 time_left로 알림
+    async requestMove(board, player, clock = null) {
+        const { boardSize, ruleSet } = this.config;
+        const timeoutTurn = OmokClock.budget(clock, this.config.timeoutTurn);
+        const stones = [];
+        for (let y = 0; y < board.length; y++) {
+            for (let x = 0; x < board.length; x++) {
+                if (board[y][x] !== 0) stones.push(`${x},${y},${board[y][x] === player ? 1 : 2}`);
+            }
+        }
+        const lines = stones.length > 0 ? ["BOARD", ...stones, "DONE"] : ["BEGIN"];
+
+        if (!this.started) {
+            this.send([
+                `INFO timeout_turn ${timeoutTurn}`,
+                "INFO timeout_match 0",
+                `INFO rule ${OmokPiskvorkClient.RULE_FLAGS[ruleSet] || 0}`
+            ]);
+            const reply = await this.command([`START ${boardSize}`], OmokPiskvorkClient.CONNECT_TIMEOUT);
+            if (reply !== "OK") {
+                console.error(`${this.name}: START ${boardSize} failed (${reply})`);
+                return { move: null, thinkTime: 0 };
+            }
+            this.started = true;
+        }
+
+        if (clock) this.send([`INFO timeout_turn ${timeoutTurn}`, `INFO time_left ${Math.floor(clock.time)}`]);
+
+        const startTime = Date.now();
+        const reply = await this.command(lines, timeoutTurn + OmokPiskvorkClient.GRACE);
+        const thinkTime = Date.now() - startTime;
+        const match = reply && /^(\d+),(\d+)$/.exec(reply);
+        if (!match) {
+            console.error(`${this.name}: unexpected reply ${reply === null ? "(timeout)" : reply}`);
+            return { move: null, thinkTime };
+        }
+        const x = parseInt(match[1], 10);
+        const y = parseInt(match[2], 10);
+        if (x >= boardSize || y >= boardSize) {
+            console.error(`${this.name}: move out of board ${reply}`);
+            return { move: null, thinkTime };
+        }
+        return { move: { x, y }, thinkTime };
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OmokPiskvorkClient;
+}
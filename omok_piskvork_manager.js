@@ -0,0 +1,375 @@
+#!/usr/bin/env node
+// 오목 Piskvork 시험용 관리자 - 브레인 두 개를 자식 프로세스로 띄워 Piskvork 프로토콜로 대국시키고
+// 모든 응답(형식, 합법수, 시간)을 검사 - 브레인 어댑터(omok_piskvork.js)나 다른 Gomocup 브레인 확인용
+//
+// 사용법:
+//   node omok_piskvork_manager.js
+//   node omok_piskvork_manager.js --brain1 "node omok_piskvork.js mcts" --brain2 "node omok_piskvork.js counter" --games 4
+//   node omok_piskvork_manager.js --rule freestyle --size 20 --timeout-turn 500 --timeout-match 60000 --opening "j10 k11 j11"
+//
+// 옵션:
+//   --brain1 <명령>        첫 번째 브레인 실행 명령 (기본 "node omok_piskvork.js 2025")
+//   --brain2 <명령>        두 번째 브레인 실행 명령 (기본 "node omok_piskvork.js counter")
+//   --games <n>            대국 수 - 흑백을 번갈아 맡음 (기본 2)
+//   --size <n>             판 크기 (기본 15)
+//   --rule <name>          freestyle | gomoku | renju | caro (기본 renju) - INFO rule로 전달
+//   --timeout-turn <ms>    수당 제한 시간, INFO timeout_turn (기본 1000)
+//   --timeout-match <ms>   대국 전체 제한 시간, INFO timeout_match (기본 0 - 제한 없음)
+//   --grace <ms>           제한 시간 초과 허용치, 넘기면 시간패 (기본 1000)
+//   --max-moves <n>        이 수에 도달하면 무승부 (기본 0 - 제한 없음)
+//   --opening <좌표>       초반 수 (예: "h8 i9 h9") - 둘 차례 브레인에는 BOARD로, 상대에게는 첫 TURN 전에 BOARD로 전달
+//   --json <file>          결과를 JSON 파일로 저장 ("-"이면 표준 출력)
+//   --log                  주고받은 줄을 표준 오류로 출력
+//
+// 프로토콜 위반(잘못된 형식, 불법 수, ERROR 응답, 브레인 종료)이 있으면 종료 코드 1
+// 제한 시간 안에 답하지 못한 브레인은 살아 있는 한 시간패 (늦은 답을 LATE_WAIT까지 더 기다려 걸린 시간을 기록)
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+const OmokRules = require('./omok_rules.js');
+const OmokRecord = require('./omok_record.js');
+const OmokPiskvorkBrain = require('./omok_piskvork.js');
+
+const BRAIN = `node ${path.join(__dirname, "omok_piskvork.js")}`;
+
+const DEFAULTS = {
+    brains: [`${BRAIN} 2025`, `${BRAIN} counter`],
+    games: 2,
+    size: 15,
+    rule: "renju",
+    timeoutTurn: 1000,
+    timeoutMatch: 0,
+    grace: 1000,
+    maxMoves: 0,
+    opening: "",
+    json: null,
+    log: false
+};
+
+const START_TIMEOUT = 5000; // START/RESTART/ABOUT 응답 대기 (ms)
+const LATE_WAIT = 5000; // 제한 시간 + grace를 넘긴 뒤에도 답을 기다리는 시간 (ms)
+const PROTOCOL_ERRORS = ["bad-response", "illegal", "error"];
+
+function parseArgs(argv) {
+    const opts = { ...DEFAULTS, brains: [...DEFAULTS.brains] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+        switch (arg) {
+            case "--brain1": opts.brains[0] = next(); break;
+            case "--brain2": opts.brains[1] = next(); break;
+            case "--games": opts.games = parseInt(next(), 10); break;
+            case "--size": opts.size = parseInt(next(), 10); break;
+            case "--rule": opts.rule = next(); break;
+            case "--timeout-turn": opts.timeoutTurn = parseInt(next(), 10); break;
+            case "--timeout-match": opts.timeoutMatch = parseInt(next(), 10); break;
+            case "--grace": opts.grace = parseInt(next(), 10); break;
+            case "--max-moves": opts.maxMoves = parseInt(next(), 10); break;
+            case "--opening": opts.opening = next(); break;
+            case "--json": opts.json = next(); break;
+            case "--log": opts.log = true; break;
+            case "--help":
+            case "-h":
+                opts.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (!(opts.rule in OmokRules.RULE_SETS)) throw new Error(`Unknown rule set: ${opts.rule}`);
+    if (!(opts.games >= 1)) throw new Error("At least one game is required");
+    // 좌표 문자열("h8 i9")은 판 크기에 따라 행 번호가 달라지므로 크기를 함께 넘김
+    opts.openingMoves = opts.opening ? OmokRecord.parseText(`# Size: ${opts.size}\n${opts.opening}`).moves : [];
+    return opts;
+}
+
+// 브레인 자식 프로세스 - 한 줄씩 보내고 받음 (MESSAGE/DEBUG 줄은 기록만 하고 건너뜀)
+class BrainProcess {
+    constructor(command, label, log = false) {
+        const [program, ...args] = command.split(/\s+/).filter(Boolean);
+        this.label = label;
+        this.name = label;
+        this.log = log;
+        this.lines = [];
+        this.waiting = null; // { resolve, timer }
+        this.exited = false;
+        this.child = spawn(program, args, { stdio: ["pipe", "pipe", "inherit"] });
+        this.child.on("error", err => {
+            console.error(`${label}: ${err.message}`);
+            this.handleExit();
+        });
+        this.child.on("exit", () => this.handleExit());
+        readline.createInterface({ input: this.child.stdout }).on("line", line => this.handleLine(line.trim()));
+    }
+
+    handleLine(line) {
+        if (this.log) console.error(`${this.label} > ${line}`);
+        if (!line || /^(MESSAGE|DEBUG)\b/i.test(line)) return;
+        if (this.waiting) {
+            const { resolve, timer } = this.waiting;
+            this.waiting = null;
+            clearTimeout(timer);
+            resolve(line);
+        } else {
+            this.lines.push(line);
+        }
+    }
+
+    handleExit() {
+        this.exited = true;
+        if (this.waiting) {
+            const { resolve, timer } = this.waiting;
+            this.waiting = null;
+            clearTimeout(timer);
+            resolve(null);
+        }
+    }
+
+    send(...lines) {
+        for (const line of lines) {
+            if (this.log) console.error(`${this.label} < ${line}`);
+            if (!this.exited) this.child.stdin.write(line + "\n");
+        }
+    }
+
+    // 다음 응답 줄 (시간 안에 없으면 null)
+    receive(timeout) {
+        if (this.lines.length > 0) return Promise.resolve(this.lines.shift());
+        if (this.exited) return Promise.resolve(null);
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this.waiting = null;
+                resolve(null);
+            }, timeout);
+            this.waiting = { resolve, timer };
+        });
+    }
+
+    async request(lines, timeout) {
+        this.lines = []; // 이전 요청의 늦은 응답은 버림
+        this.send(...lines);
+        return this.receive(timeout);
+    }
+
+    // END를 보내고 끝나기를 기다림 - 끝나지 않으면 강제 종료
+    close() {
+        return new Promise(resolve => {
+            if (this.exited) return resolve();
+            this.child.once("exit", resolve);
+            this.send("END");
+            this.child.stdin.end();
+            setTimeout(() => {
+                if (!this.exited) this.child.kill();
+            }, 1000);
+        });
+    }
+}
+
+// 새 판 준비 - INFO들과 START(첫 대국) 또는 RESTART
+// 지난 판에서 시간패한 브레인은 그 수를 늦게 답하므로 OK/ERROR 전의 x,y 줄은 건너뜀
+async function prepareBrain(brain, opts, first) {
+    brain.send(
+        `INFO timeout_turn ${opts.timeoutTurn}`,
+        `INFO timeout_match ${opts.timeoutMatch}`,
+        `INFO rule ${OmokPiskvorkBrain.ruleFlags(opts.rule)}`
+    );
+    const deadline = Date.now() + START_TIMEOUT;
+    let reply = await brain.request([first ? `START ${opts.size}` : "RESTART"], START_TIMEOUT);
+    while (reply !== null && /^\d+,\d+$/.test(reply)) {
+        reply = await brain.receive(Math.max(0, deadline - Date.now()));
+    }
+    if (reply !== "OK") throw new Error(`${brain.name}: expected OK, got ${reply === null ? "no response" : reply}`);
+}
+
+// 브레인에 수를 요청 - 처음 두는 브레인에는 BEGIN, 국면을 모르는 브레인에는 BOARD, 그 밖에는 TURN
+function moveRequest(state, color) {
+    const { board, moves, synced } = state;
+    if (moves.length === 0) return ["BEGIN"];
+    if (synced[color]) {
+        const last = moves[moves.length - 1];
+        return [`TURN ${last.x},${last.y}`];
+    }
+    const lines = ["BOARD"];
+    for (const m of moves) lines.push(`${m.x},${m.y},${board[m.y][m.x] === color ? 1 : 2}`);
+    lines.push("DONE");
+    return lines;
+}
+
+// 한 판 대국 - 결과 { winner: 0(무승부) | 1 | 2, reason, moves, detail? }
+async function playGame(black, white, opts, rules) {
+    const size = opts.size;
+    const players = { 1: black, 2: white };
+    const state = {
+        board: Array.from({ length: size }, () => Array(size).fill(0)),
+        moves: [],
+        synced: { 1: true, 2: true }, // 브레인이 마지막 수 전까지의 국면을 알고 있는지
+        timeLeft: { 1: opts.timeoutMatch, 2: opts.timeoutMatch }
+    };
+    const { board, moves } = state;
+
+    for (const move of opts.openingMoves) {
+        board[move.y][move.x] = move.player;
+        moves.push({ x: move.x, y: move.y, player: move.player, opening: true });
+        state.synced = { 1: false, 2: false };
+    }
+
+    let player = moves.length % 2 === 0 ? 1 : 2;
+    for (;;) {
+        if (!rules.hasLegalMove(board, player)) {
+            return { winner: 0, reason: rules.isBoardFull(board) ? "full" : "no-legal-move", moves };
+        }
+        if (opts.maxMoves > 0 && moves.length >= opts.maxMoves) {
+            return { winner: 0, reason: "move-limit", moves };
+        }
+
+        const brain = players[player];
+        const lines = moveRequest(state, player);
+        if (opts.timeoutMatch > 0) lines.unshift(`INFO time_left ${state.timeLeft[player]}`);
+        const limit = opts.timeoutMatch > 0 ? Math.min(opts.timeoutTurn, state.timeLeft[player]) : opts.timeoutTurn;
+
+        const startTime = Date.now();
+        const reply = await brain.request(lines, limit + opts.grace + LATE_WAIT);
+        const time = Date.now() - startTime;
+        state.timeLeft[player] -= time;
+
+        if (reply === null) {
+            // 끝난 브레인은 오류, 살아 있으면 아직 생각 중인 것이므로 시간패
+            return brain.exited
+                ? { winner: 3 - player, reason: "error", moves, detail: `${brain.name} exited` }
+                : { winner: 3 - player, reason: "time", moves, detail: `${brain.name} did not answer in ${time} ms` };
+        }
+        if (time > limit + opts.grace) {
+            return { winner: 3 - player, reason: "time", moves };
+        }
+        const match = /^(\d+),(\d+)$/.exec(reply);
+        if (!match) {
+            return { winner: 3 - player, reason: /^ERROR\b/i.test(reply) ? "error" : "bad-response", moves, detail: `${brain.name}: ${reply}` };
+        }
+
+        const x = parseInt(match[1], 10);
+        const y = parseInt(match[2], 10);
+        if (!rules.inBoard(x, y) || board[y][x] !== 0 || rules.isForbidden(board, x, y, player)) {
+            return { winner: 3 - player, reason: "illegal", moves, detail: `${brain.name}: ${reply}` };
+        }
+
+        board[y][x] = player;
+        moves.push({ x, y, player, time });
+        state.synced[player] = true;
+
+        if (rules.checkWin(board, x, y, player)) {
+            return { winner: player, reason: "five", moves };
+        }
+        player = 3 - player;
+    }
+}
+
+async function runMatch(opts, onGame = () => {}) {
+    const rules = new OmokRules(opts.size, opts.rule);
+    const brains = opts.brains.map((command, i) => new BrainProcess(command, `brain${i + 1}`, opts.log));
+    const stats = brains.map(brain => ({ brain: brain.label, name: brain.name, wins: 0, losses: 0, draws: 0, moves: 0, thinkTime: 0 }));
+    const games = [];
+
+    try {
+        for (const [i, brain] of brains.entries()) {
+            const about = await brain.request(["ABOUT"], START_TIMEOUT);
+            const name = about && /name="([^"]*)"/.exec(about);
+            if (name) brain.name = stats[i].name = `${name[1]} (${brain.label})`;
+        }
+
+        for (let g = 0; g < opts.games; g++) {
+            const [blackIndex, whiteIndex] = g % 2 === 0 ? [0, 1] : [1, 0];
+            for (const brain of brains) await prepareBrain(brain, opts, g === 0);
+
+            const result = await playGame(brains[blackIndex], brains[whiteIndex], opts, rules);
+            const game = { black: brains[blackIndex].name, white: brains[whiteIndex].name, ...result };
+            games.push(game);
+
+            for (const [color, index] of [[1, blackIndex], [2, whiteIndex]]) {
+                const s = stats[index];
+                if (result.winner === 0) s.draws++;
+                else if (result.winner === color) s.wins++;
+                else s.losses++;
+                for (const m of result.moves) {
+                    if (m.player === color && !m.opening) {
+                        s.moves++;
+                        s.thinkTime += m.time;
+                    }
+                }
+            }
+            onGame(game, games.length);
+        }
+    } finally {
+        await Promise.all(brains.map(brain => brain.close()));
+    }
+
+    for (const s of stats) s.avgMoveTime = s.moves ? Math.round(s.thinkTime / s.moves) : 0;
+    const protocolErrors = games.filter(game => PROTOCOL_ERRORS.includes(game.reason)).length;
+    return { options: { ...opts, openingMoves: undefined }, brains: stats, games, protocolErrors };
+}
+
+function formatTable(report) {
+    const header = ["Brain", "Games", "W-L-D", "Avg ms/move"];
+    const rows = report.brains.map(s => [
+        s.name,
+        String(s.wins + s.losses + s.draws),
+        `${s.wins}-${s.losses}-${s.draws}`,
+        String(s.avgMoveTime)
+    ]);
+    const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+    const line = cells => cells.map((c, i) => i === 0 ? c.padEnd(widths[i]) : c.padStart(widths[i])).join("  ");
+    return [line(header), widths.map(w => "-".repeat(w)).join("  "), ...rows.map(line)].join("\n");
+}
+
+async function main() {
+    let opts;
+    try {
+        opts = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+    if (opts.help) {
+        const usage = fs.readFileSync(__filename, "utf8").split("\n")
+            .filter(line => line.startsWith("//")).map(line => line.replace(/^\/\/ ?/, ""));
+        console.log(usage.join("\n"));
+        return;
+    }
+
+    let report;
+    try {
+        report = await runMatch(opts, (game, n) => {
+            const result = game.winner === 0 ? "draw" : `${game.winner === 1 ? "black" : "white"} wins`;
+            const detail = game.detail ? ` (${game.detail})` : "";
+            console.error(`#${n} ${game.black} (B) vs ${game.white} (W): ${result} by ${game.reason} in ${game.moves.length} moves${detail}`);
+        });
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+
+    if (opts.json === "-") {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        console.log(formatTable(report));
+        if (opts.json) {
+            fs.writeFileSync(opts.json, JSON.stringify(report, null, 2));
+            console.log(`\nJSON report written to ${opts.json}`);
+        }
+    }
+    if (report.protocolErrors > 0) {
+        console.error(`${report.protocolErrors} game(s) ended by a protocol error`);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { parseArgs, BrainProcess, prepareBrain, playGame, runMatch, formatTable };
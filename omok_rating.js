@@ -0,0 +1,160 @@
+// 오목 레이팅 - 완료된 대국을 저장하고 엔진+설정별 Elo와 신뢰구간을 계산
+// 브라우저에서는 localStorage, Node에서는 JSON 파일(OmokRatings.fileStorage)에 저장
+
+class OmokRatings {
+    static BASE_RATING = 1500;
+    static PRIOR_DRAWS = 2; // 기준 선수(1500)와의 가상 무승부 수 - 전승/전패일 때 발산 방지
+
+    constructor(storage = null, key = "omokRatings") {
+        this.storage = storage;
+        this.key = key;
+        this.games = [];
+        this.load();
+    }
+
+    // 엔진과 설정으로 선수 ID 생성: "counter", "counter(maxDepth=4)"
+    static playerId(engine, options = {}) {
+        const keys = Object.keys(options).filter(k => options[k] !== undefined).sort();
+        if (keys.length === 0) return String(engine);
+        return `${engine}(${keys.map(k => `${k}=${options[k]}`).join(",")})`;
+    }
+
+    // Node용 파일 저장소 (localStorage와 같은 getItem/setItem 인터페이스)
+    static fileStorage(path) {
+        const fs = require('fs');
+        return {
+            getItem: () => fs.existsSync(path) ? fs.readFileSync(path, "utf8") : null,
+            setItem: (_key, value) => fs.writeFileSync(path, value)
+        };
+    }
+
+    load() {
+        if (!this.storage) return;
+        const data = this.storage.getItem(this.key);
+        if (!data) return;
+        try {
+            this.games = JSON.parse(data).games || [];
+        } catch (err) {
+            console.error(`Failed to load ratings: ${err.message}`);
+            this.games = [];
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+        this.storage.setItem(this.key, JSON.stringify({ games: this.games }));
+    }
+
+    // 대국 기록: { black, white, winner: 0(무승부) | 1 | 2, date? }
+    addGame({ black, white, winner, date = new Date().toISOString() }) {
+        this.games.push({ black, white, winner, date });
+        this.save();
+    }
+
+    clear() {
+        this.games = [];
+        this.save();
+    }
+
+    // 최대우도 Elo (뉴턴법) + 95% 신뢰구간
+    computeRatings() {
+        const base = OmokRatings.BASE_RATING;
+        const c = Math.LN10 / 400;
+        const players = new Map();
+        const pairs = new Map(); // "a\tb" → { games, score(a 기준) }
+
+        const player = (id) => {
+            if (!players.has(id)) {
+                players.set(id, { id, rating: base, games: 0, wins: 0, losses: 0, draws: 0 });
+            }
+            return players.get(id);
+        };
+
+        for (const g of this.games) {
+            if (g.black === g.white) continue;
+            const black = player(g.black), white = player(g.white);
+            black.games++;
+            white.games++;
+            if (g.winner === 0) {
+                black.draws++;
+                white.draws++;
+            } else if (g.winner === 1) {
+                black.wins++;
+                white.losses++;
+            } else {
+                white.wins++;
+                black.losses++;
+            }
+
+            const [a, b] = [g.black, g.white].sort();
+            const key = `${a}\t${b}`;
+            if (!pairs.has(key)) pairs.set(key, { a, b, games: 0, score: 0 });
+            const pair = pairs.get(key);
+            const blackScore = g.winner === 0 ? 0.5 : (g.winner === 1 ? 1 : 0);
+            pair.games++;
+            pair.score += a === g.black ? blackScore : 1 - blackScore;
+        }
+
+        const expected = (ra, rb) => 1 / (1 + Math.pow(10, (rb - ra) / 400));
+
+        // 선수별 (실제 점수 - 기대 점수)와 피셔 정보량
+        const gradient = () => {
+            const acc = new Map();
+            for (const p of players.values()) {
+                const e = expected(p.rating, base);
+                const n = OmokRatings.PRIOR_DRAWS;
+                acc.set(p.id, { diff: n * (0.5 - e), info: n * e * (1 - e) });
+            }
+            for (const pair of pairs.values()) {
+                const ra = players.get(pair.a).rating, rb = players.get(pair.b).rating;
+                const e = expected(ra, rb);
+                const a = acc.get(pair.a), b = acc.get(pair.b);
+                a.diff += pair.score - pair.games * e;
+                b.diff += (pair.games - pair.score) - pair.games * (1 - e);
+                a.info += pair.games * e * (1 - e);
+                b.info += pair.games * e * (1 - e);
+            }
+            return acc;
+        };
+
+        for (let iter = 0; iter < 200; iter++) {
+            const acc = gradient();
+            let maxStep = 0;
+            for (const p of players.values()) {
+                const { diff, info } = acc.get(p.id);
+                const step = Math.max(-200, Math.min(200, diff / (c * info)));
+                p.rating += step;
+                maxStep = Math.max(maxStep, Math.abs(step));
+            }
+            if (maxStep < 0.01) break;
+        }
+
+        const acc = gradient();
+        return [...players.values()].map(p => ({
+            ...p,
+            rating: Math.round(p.rating),
+            interval: Math.round(1.96 / (c * Math.sqrt(acc.get(p.id).info))),
+            score: p.games ? (p.wins + p.draws / 2) / p.games : 0
+        })).sort((a, b) => b.rating - a.rating);
+    }
+
+    formatTable() {
+        const rows = this.computeRatings().map((p, i) => [
+            String(i + 1),
+            p.id,
+            `${p.rating} ± ${p.interval}`,
+            String(p.games),
+            `${p.wins}-${p.losses}-${p.draws}`,
+            `${(p.score * 100).toFixed(1)}%`
+        ]);
+        const header = ["#", "Player", "Elo (95%)", "Games", "W-L-D", "Score"];
+        const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+        const line = cells => cells.map((c, i) => i === 1 ? c.padEnd(widths[i]) : c.padStart(widths[i])).join("  ");
+        return [line(header), widths.map(w => "-".repeat(w)).join("  "), ...rows.map(line)].join("\n");
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OmokRatings;
+}
\ No newline at end of file
@@ -0,0 +1,232 @@
+// 오목 기보 - 좌표 표기(h8), Gomocup(Piskvork .psq) 형식, SGF 형식의 내보내기/불러오기
+//
+// 좌표: 가로는 왼쪽부터 a, b, c ..., 세로는 아래쪽부터 1, 2, 3 ... (15줄 판의 천원 = h8)
+// 기보 객체: { size, ruleSet, black, white, result, date, moves: [{ x, y, player, time? }] }
+//   result: 1(흑 승) | 2(백 승) | 0(무승부) | null(미정)
+//   time: 생각 시간(ms), 기록된 경우에만 (Gomocup 형식의 세 번째 값)
+
+// Node에서는 <script> 태그 대신 require로 규칙 모듈을 불러온다
+if (typeof module !== 'undefined' && module.exports && typeof OmokRules === 'undefined') {
+    globalThis.OmokRules = require('./omok_rules.js');
+}
+
+class OmokRecord {
+    static FORMATS = {
+        text: "좌표 기보 (h8 i9 ...)",
+        gomocup: "Gomocup / Piskvork (.psq)",
+        sgf: "SGF"
+    };
+
+    constructor({ size = 15, ruleSet = "renju", black = "", white = "", result = null, date = null, moves = [] } = {}) {
+        this.size = size;
+        this.ruleSet = ruleSet;
+        this.black = black;
+        this.white = white;
+        this.result = result;
+        this.date = date || new Date().toISOString().slice(0, 10);
+        this.moves = moves.map(({ x, y, player, time }) =>
+            Number.isFinite(time) ? { x, y, player, time } : { x, y, player });
+    }
+
+    static coordToString(x, y, size) {
+        return String.fromCharCode(97 + x) + (size - y);
+    }
+
+    static parseCoord(text, size) {
+        const match = /^([a-z])(\d{1,2})$/i.exec(text.trim());
+        if (!match) throw new Error(`Invalid coordinate: ${text}`);
+        const x = match[1].toLowerCase().charCodeAt(0) - 97;
+        const y = size - parseInt(match[2], 10);
+        if (x < 0 || y < 0 || x >= size || y >= size) throw new Error(`Coordinate out of board: ${text}`);
+        return { x, y };
+    }
+
+    static resultToString(result) {
+        if (result === 1) return "B+";
+        if (result === 2) return "W+";
+        if (result === 0) return "0";
+        return "?";
+    }
+
+    static parseResult(text) {
+        const value = (text || "").trim().toUpperCase();
+        if (value.startsWith("B+")) return 1;
+        if (value.startsWith("W+")) return 2;
+        if (value === "0" || value === "DRAW" || value === "JIGO") return 0;
+        return null;
+    }
+
+    format(type) {
+        switch (type) {
+            case "text": return this.toText();
+            case "gomocup": return this.toGomocup();
+            case "sgf": return this.toSGF();
+            default: throw new Error(`Unknown record format: ${type}`);
+        }
+    }
+
+    // 좌표 기보: "# 키: 값" 머리말 + 좌표 목록
+    toText() {
+        const header = [
+            `# Size: ${this.size}`,
+            `# Rule: ${this.ruleSet}`,
+            `# Black: ${this.black}`,
+            `# White: ${this.white}`,
+            `# Result: ${OmokRecord.resultToString(this.result)}`,
+            `# Date: ${this.date}`
+        ];
+        const moves = this.moves.map(m => OmokRecord.coordToString(m.x, m.y, this.size));
+        const lines = [];
+        for (let i = 0; i < moves.length; i += 10) {
+            lines.push(moves.slice(i, i + 10).join(" "));
+        }
+        return [...header, ...lines].join("\n") + "\n";
+    }
+
+    // Piskvork .psq: 머리말 + "x,y,시간" (1부터 시작하는 좌표)
+    toGomocup() {
+        const lines = [`Piskvorky ${this.size}x${this.size}, 11:11, 0`];
+        for (const m of this.moves) {
+            lines.push(`${m.x + 1},${m.y + 1},${m.time ?? 0}`);
+        }
+        return lines.join("\n") + "\n";
+    }
+
+    // SGF (GM[4] = 오목): 좌표는 왼쪽 위부터 aa
+    toSGF() {
+        const escape = value => String(value).replace(/([\]\\])/g, "\\$1");
+        const props = [
+            "GM[4]", "FF[4]", "CA[UTF-8]",
+            `SZ[${this.size}]`,
+            `RU[${escape(this.ruleSet)}]`,
+            `PB[${escape(this.black)}]`,
+            `PW[${escape(this.white)}]`,
+            `RE[${OmokRecord.resultToString(this.result)}]`,
+            `DT[${escape(this.date)}]`
+        ];
+        const moves = this.moves.map(m =>
+            `;${m.player === 1 ? "B" : "W"}[${String.fromCharCode(97 + m.x)}${String.fromCharCode(97 + m.y)}]`);
+        return `(;${props.join("")}\n${moves.join("")})\n`;
+    }
+
+    // 형식을 자동으로 판별해 불러오기
+    static parse(text) {
+        const trimmed = text.trim();
+        if (!trimmed) throw new Error("Empty record");
+        if (trimmed.startsWith("(;")) return OmokRecord.parseSGF(trimmed);
+        if (/^Piskvorky/i.test(trimmed) || /^\d+\s*,\s*\d+/.test(trimmed)) return OmokRecord.parseGomocup(trimmed);
+        return OmokRecord.parseText(trimmed);
+    }
+
+    static parseText(text) {
+        const meta = {};
+        const tokens = [];
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = rawLine.trim();
+            const header = /^#\s*(\w+)\s*:\s*(.*)$/.exec(line);
+            if (header) {
+                meta[header[1].toLowerCase()] = header[2].trim();
+            } else if (line && !line.startsWith("#")) {
+                // "1. h8 2. i9" 같은 수 번호는 무시
+                tokens.push(...line.split(/[\s,]+/).filter(t => t && !/^\d+\.$/.test(t)));
+            }
+        }
+
+        const size = meta.size ? parseInt(meta.size, 10) : 15;
+        const moves = tokens.map((token, i) => ({
+            ...OmokRecord.parseCoord(token, size),
+            player: i % 2 === 0 ? 1 : 2
+        }));
+        return OmokRecord.validate(new OmokRecord({
+            size,
+            ruleSet: meta.rule || "renju",
+            black: meta.black || "",
+            white: meta.white || "",
+            result: OmokRecord.parseResult(meta.result),
+            date: meta.date || null,
+            moves
+        }));
+    }
+
+    // 머리말이 있으면 1부터, 없으면 0부터 시작하는 좌표로 해석
+    static parseGomocup(text) {
+        const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+        let size = 15;
+        let offset = 0;
+        const header = /^Piskvorky\s+(\d+)x(\d+)/i.exec(lines[0]);
+        if (header) {
+            size = parseInt(header[1], 10);
+            offset = 1;
+            lines.shift();
+        }
+
+        const moves = [];
+        for (const line of lines) {
+            const match = /^(\d+)\s*,\s*(\d+)(?:\s*,\s*(\d+))?/.exec(line);
+            if (!match) break; // 좌표 뒤의 엔진 정보 등은 무시
+            moves.push({
+                x: parseInt(match[1], 10) - offset,
+                y: parseInt(match[2], 10) - offset,
+                player: moves.length % 2 === 0 ? 1 : 2,
+                time: match[3] !== undefined ? parseInt(match[3], 10) : undefined
+            });
+        }
+        return OmokRecord.validate(new OmokRecord({ size, moves }));
+    }
+
+    static parseSGF(text) {
+        const props = {};
+        const moves = [];
+        const propRegex = /([A-Z]{1,2})((?:\[(?:\\.|[^\]\\])*\])+)/g;
+        let match;
+        while ((match = propRegex.exec(text)) !== null) {
+            const key = match[1];
+            const values = [...match[2].matchAll(/\[((?:\\.|[^\]\\])*)\]/g)].map(v => v[1].replace(/\\(.)/g, "$1"));
+            if (key === "B" || key === "W") {
+                const coord = values[0];
+                if (coord.length !== 2) throw new Error(`Invalid SGF move: ${coord}`);
+                moves.push({
+                    x: coord.charCodeAt(0) - 97,
+                    y: coord.charCodeAt(1) - 97,
+                    player: key === "B" ? 1 : 2
+                });
+            } else if (!(key in props)) {
+                props[key] = values[0];
+            }
+        }
+
+        if (props.GM && props.GM !== "4") throw new Error(`Not a Gomoku SGF (GM[${props.GM}])`);
+        return OmokRecord.validate(new OmokRecord({
+            size: props.SZ ? parseInt(props.SZ, 10) : 15,
+            ruleSet: props.RU || "renju",
+            black: props.PB || "",
+            white: props.PW || "",
+            result: OmokRecord.parseResult(props.RE),
+            date: props.DT || null,
+            moves
+        }));
+    }
+
+    // 판 범위, 중복 착수 확인 (알 수 없는 룰셋은 렌주로 취급)
+    static validate(record) {
+        if (!(record.size >= 5 && record.size <= 26)) throw new Error(`Unsupported board size: ${record.size}`);
+        const seen = new Set();
+        for (const [i, m] of record.moves.entries()) {
+            if (m.x < 0 || m.y < 0 || m.x >= record.size || m.y >= record.size) {
+                throw new Error(`Move ${i + 1} is outside the board`);
+            }
+            const key = m.y * record.size + m.x;
+            if (seen.has(key)) throw new Error(`Move ${i + 1} is on an occupied point`);
+            seen.add(key);
+        }
+        if (!(record.ruleSet in OmokRules.RULE_SETS)) {
+            record.ruleSet = "renju";
+        }
+        return record;
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OmokRecord;
+}
\ No newline at end of file
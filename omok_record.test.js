@@ -0,0 +1,93 @@
+// 기보 형식 테스트 (좌표 기보, Gomocup, SGF) - 실행: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const OmokRecord = require('./omok_record.js');
+
+const sample = () => new OmokRecord({
+    size: 15,
+    ruleSet: "gomoku",
+    black: "Counter AI",
+    white: "사람 [2단]",
+    result: 2,
+    date: "2025-03-01",
+    moves: [
+        { x: 7, y: 7, player: 1, time: 120 },
+        { x: 8, y: 8, player: 2, time: 3050 },
+        { x: 0, y: 14, player: 1, time: 0 },
+        { x: 14, y: 0, player: 2, time: 7 }
+    ]
+});
+
+const points = record => record.moves.map(({ x, y, player }) => ({ x, y, player }));
+
+test("좌표 표기: 가로 a부터, 세로는 아래쪽 1부터", () => {
+    assert.equal(OmokRecord.coordToString(7, 7, 15), "h8");
+    assert.equal(OmokRecord.coordToString(0, 14, 15), "a1");
+    assert.deepEqual(OmokRecord.parseCoord("O15", 15), { x: 14, y: 0 });
+    assert.throws(() => OmokRecord.parseCoord("p1", 15), /out of board/);
+    assert.throws(() => OmokRecord.parseCoord("h", 15), /Invalid coordinate/);
+});
+
+test("결과 표기 왕복", () => {
+    for (const result of [1, 2, 0, null]) {
+        assert.equal(OmokRecord.parseResult(OmokRecord.resultToString(result)), result);
+    }
+    assert.equal(OmokRecord.parseResult("B+Resign"), 1);
+    assert.equal(OmokRecord.parseResult("Draw"), 0);
+});
+
+test("좌표 기보 왕복 - 머리말과 수 모두 그대로", () => {
+    const record = sample();
+    const parsed = OmokRecord.parse(record.toText());
+    assert.equal(parsed.size, 15);
+    assert.equal(parsed.ruleSet, "gomoku");
+    assert.equal(parsed.black, "Counter AI");
+    assert.equal(parsed.white, "사람 [2단]");
+    assert.equal(parsed.result, 2);
+    assert.equal(parsed.date, "2025-03-01");
+    assert.deepEqual(points(parsed), points(record));
+});
+
+test("좌표 기보는 10수마다 줄을 나누고 수 번호는 무시", () => {
+    const moves = Array.from({ length: 12 }, (_, i) => ({ x: i, y: i % 2, player: i % 2 === 0 ? 1 : 2 }));
+    const text = new OmokRecord({ moves }).toText();
+    assert.equal(text.trim().split("\n").length, 6 + 2);
+    assert.deepEqual(points(OmokRecord.parse("1. h8 2. i9\n3. j10")), [
+        { x: 7, y: 7, player: 1 }, { x: 8, y: 6, player: 2 }, { x: 9, y: 5, player: 1 }
+    ]);
+});
+
+test("Gomocup 형식 왕복 - 1부터 시작하는 좌표와 생각 시간", () => {
+    const record = sample();
+    const text = record.toGomocup();
+    assert.match(text, /^Piskvorky 15x15, 11:11, 0\n8,8,120\n/);
+    const parsed = OmokRecord.parse(text);
+    assert.deepEqual(parsed.moves, record.moves);
+});
+
+test("머리말 없는 Gomocup 좌표는 0부터", () => {
+    const parsed = OmokRecord.parse("7,7\n8,8\n");
+    assert.deepEqual(points(parsed), [{ x: 7, y: 7, player: 1 }, { x: 8, y: 8, player: 2 }]);
+});
+
+test("SGF 왕복 - 속성 값의 ]와 \\는 이스케이프", () => {
+    const record = sample();
+    const text = record.toSGF();
+    assert.match(text, /PW\[사람 \[2단\\\]\]/);
+    const parsed = OmokRecord.parse(text);
+    assert.equal(parsed.white, "사람 [2단]");
+    assert.equal(parsed.ruleSet, "gomoku");
+    assert.equal(parsed.result, 2);
+    assert.deepEqual(points(parsed), points(record));
+});
+
+test("오목이 아닌 SGF, 판 밖의 수, 같은 자리 두 번은 Error", () => {
+    assert.throws(() => OmokRecord.parse("(;GM[1]SZ[19];B[aa])"), /Not a Gomoku SGF/);
+    assert.throws(() => OmokRecord.parse("Piskvorky 15x15, 11:11, 0\n16,1,0\n"), /outside the board/);
+    assert.throws(() => OmokRecord.parse("h8 h8"), /occupied/);
+    assert.throws(() => OmokRecord.parse("   "), /Empty record/);
+});
+
+test("알 수 없는 룰셋은 렌주로", () => {
+    assert.equal(OmokRecord.parse("# Rule: pente\nh8").ruleSet, "renju");
+});
@@ -0,0 +1,244 @@
+// 오목 복기 - 끝난 대국의 수를 하나씩 다시 두며 엔진으로 점수를 매기고 실수를 표시
+//
+// 표시: "!"  좋은 수 (VCF 승리 수순의 시작)
+//       "?"  실수 (VCF 승리를 놓침)
+//       "??" 큰 실수 (5목을 놓침, 상대 5목을 막지 않음, 막을 수 있던 상대 VCF를 허용)
+//
+// 점수는 Omok2025 평가 함수(둔 수와 엔진 추천수의 한 수 평가), 수읽기는 OmokCounter의 searchVCF/findForcedDefenses를 사용
+
+// Node에서는 <script> 태그 대신 require로 필요한 모듈을 불러온다
+if (typeof module !== 'undefined' && module.exports) {
+    if (typeof OmokRules === 'undefined') globalThis.OmokRules = require('./omok_rules.js');
+    if (typeof OmokSymmetry === 'undefined') globalThis.OmokSymmetry = require('./omok_symmetry.js');
+    if (typeof Omok2025 === 'undefined') globalThis.Omok2025 = require('./omok_2025.js');
+    if (typeof OmokCounter === 'undefined') globalThis.OmokCounter = require('./omok_counter.js');
+    if (typeof OmokRecord === 'undefined') globalThis.OmokRecord = require('./omok_record.js');
+}
+
+class OmokReviewer {
+    static MARKS = { "!": "좋은 수", "?": "실수", "??": "큰 실수" };
+
+    constructor(boardSize = 15, options = {}) {
+        this.size = boardSize;
+        this.ruleSet = options.ruleSet || "renju";
+        this.rules = new OmokRules(boardSize, this.ruleSet);
+        this.scorer = new Omok2025(boardSize, { ruleSet: this.ruleSet });
+        this.tactics = new OmokCounter(boardSize, { ruleSet: this.ruleSet });
+        this.vcfDepth = options.vcfDepth || 8;
+        this.vcfCache = new Map(); // 국면+공격자 → VCF 첫 수 (다음 수 검사에서 같은 국면을 다시 읽지 않도록)
+        this.onProgress = null; // 진행 상황 콜백 { searched, total, elapsed }
+    }
+
+    // 캐시는 표준형 국면 키로 - 회전하거나 뒤집은 같은 국면도 다시 읽지 않고 수만 지금 판의 방향으로 옮김
+    searchVCF(board, player) {
+        const { key, transform } = OmokSymmetry.canonical(board);
+        const cacheKey = `${key}/${player}`;
+        if (!this.vcfCache.has(cacheKey)) {
+            const result = this.tactics.searchVCF(board, player, this.vcfDepth);
+            this.vcfCache.set(cacheKey, result && {
+                ...OmokSymmetry.toCanonical(result, transform, this.size),
+                sequence: OmokSymmetry.toCanonical(result.sequence, transform, this.size)
+            });
+        }
+        const cached = this.vcfCache.get(cacheKey);
+        return cached && {
+            ...OmokSymmetry.fromCanonical(cached, transform, this.size),
+            sequence: OmokSymmetry.fromCanonical(cached.sequence, transform, this.size)
+        };
+    }
+
+    // 한 수 평가: 둔 뒤 국면을 둔 쪽 기준으로 평가
+    scoreMove(board, x, y, player) {
+        board[y][x] = player;
+        const score = this.scorer.evaluateBoard(board, player);
+        board[y][x] = 0;
+        return score;
+    }
+
+    // 엔진 추천수 - 한 수 평가가 가장 높은 후보 (금수 제외)
+    bestMove(board, player) {
+        let best = null;
+        for (const [x, y] of this.scorer.getCandidateMoves(board, player)) {
+            const score = this.scoreMove(board, x, y, player);
+            if (!best || score > best.score) best = { x, y, score };
+        }
+        return best;
+    }
+
+    coord(move) {
+        return OmokRecord.coordToString(move.x, move.y, this.size);
+    }
+
+    // 대국 전체 복기 - moves: [{ x, y, player }]
+    // 결과: { annotations: [{ index, x, y, player, mark, reasons, score, best }], summary }
+    reviewGame(moves) {
+        const board = Array.from({ length: this.size }, () => Array(this.size).fill(0));
+        const annotations = [];
+        const winning = { 1: false, 2: false }; // 직전 차례에 이미 VCF 수순 중이었는지
+        const startTime = Date.now();
+        this.vcfCache.clear();
+
+        for (let i = 0; i < moves.length; i++) {
+            const move = moves[i];
+            const annotation = this.reviewMove(board, move, winning[move.player]);
+            winning[move.player] = annotation.winning;
+            delete annotation.winning;
+            annotations.push({ index: i + 1, ...annotation });
+
+            board[move.y][move.x] = move.player;
+            if (this.onProgress) {
+                this.onProgress({ searched: i + 1, total: moves.length, elapsed: Date.now() - startTime });
+            }
+        }
+
+        return { annotations, summary: OmokReviewer.summarize(annotations) };
+    }
+
+    // 한 수 평가 - board는 이 수를 두기 전 국면 (검사 후 원래대로 돌려놓음)
+    reviewMove(board, { x, y, player }, alreadyWinning = false) {
+        const opponent = 3 - player;
+        const reasons = [];
+        let mark = null;
+
+        // 두기 전 국면의 전술 상황
+        const ownFive = this.scorer.findWinningMove(board, player);
+        const opponentFive = this.scorer.findWinningMove(board, opponent);
+        const ownVCF = ownFive || (opponentFive ? null : this.searchVCF(board, player));
+        const best = this.bestMove(board, player);
+        const score = this.scoreMove(board, x, y, player);
+
+        board[y][x] = player;
+        const wins = this.rules.checkWin(board, x, y, player);
+        let winning = wins;
+
+        if (!wins) {
+            if (ownFive) {
+                mark = "??";
+                reasons.push(`5목 완성 기회를 놓침 (${this.coord(ownFive)})`);
+            } else if (opponentFive && this.scorer.findWinningMove(board, opponent)) {
+                board[y][x] = 0;
+                const stoppable = this.canStopFive(board, player);
+                board[y][x] = player;
+                if (stoppable) {
+                    mark = "??";
+                    reasons.push(`상대 5목을 막지 않음 (${this.coord(opponentFive)})`);
+                }
+            } else if (ownVCF) {
+                winning = this.keepsVCF(board, x, y, player);
+                if (!winning) {
+                    mark = "?";
+                    reasons.push(`VCF 승리 수순을 놓침 (${this.coord(ownVCF)}부터)`);
+                } else if (!alreadyWinning) {
+                    mark = "!";
+                    reasons.push("VCF 승리 수순 시작");
+                }
+            }
+
+            // 상대에게 VCF를 허용했는지 - 다른 수로 막을 수 있었을 때만 실수
+            // (둔 쪽이 5목 위협을 걸었으면 상대는 먼저 막아야 하므로 제외)
+            if (!mark && !this.scorer.findWinningMove(board, opponent) && !this.scorer.findWinningMove(board, player)) {
+                const opponentVCF = this.searchVCF(board, opponent);
+                if (opponentVCF) {
+                    board[y][x] = 0;
+                    const alternative = this.findSafeMove(board, player, [best, opponentVCF]);
+                    board[y][x] = player;
+                    if (alternative) {
+                        mark = "??";
+                        reasons.push(`상대에게 VCF 허용 (${this.coord(opponentVCF)}부터, ${this.coord(alternative)}로 막을 수 있었음)`);
+                    } else {
+                        reasons.push("상대 VCF를 막을 수 없는 국면");
+                    }
+                }
+            }
+        }
+        board[y][x] = 0;
+
+        return {
+            x, y, player, mark, reasons, score,
+            best: best && { x: best.x, y: best.y, score: best.score },
+            winning
+        };
+    }
+
+    // 이 4를 둔 뒤에도 VCF 승리가 이어지는지 (board에는 이미 (x, y)가 놓여 있음)
+    // 상대가 어느 자리를 막아도 5목이나 VCF가 남아야 함 (4-4는 한쪽만 막을 수 있으므로 승리)
+    keepsVCF(board, x, y, player) {
+        if (!this.tactics.hasFour(board, x, y, player)) return false;
+        for (const [dx, dy] of this.tactics.findForcedDefenses(board, player)) {
+            board[dy][dx] = 3 - player;
+            const wins = this.scorer.findWinningMove(board, player) || this.searchVCF(board, player);
+            board[dy][dx] = 0;
+            if (!wins) return false;
+        }
+        return true;
+    }
+
+    // 상대의 5목 자리 중 하나를 막아 모든 5목 위협을 없앨 수 있는지
+    canStopFive(board, player) {
+        const opponent = 3 - player;
+        for (const [x, y] of this.tactics.findForcedDefenses(board, opponent)) {
+            board[y][x] = player;
+            const stopped = !this.scorer.findWinningMove(board, opponent);
+            board[y][x] = 0;
+            if (stopped) return true;
+        }
+        return false;
+    }
+
+    // 상대 VCF와 5목을 모두 막는 수를 후보 중에서 찾기 (없으면 null)
+    findSafeMove(board, player, candidates) {
+        const opponent = 3 - player;
+        for (const move of candidates) {
+            if (!move || board[move.y][move.x] !== 0 || this.rules.isForbidden(board, move.x, move.y, player)) continue;
+            board[move.y][move.x] = player;
+            const safe = !this.scorer.findWinningMove(board, opponent) && !this.searchVCF(board, opponent);
+            board[move.y][move.x] = 0;
+            if (safe) return { x: move.x, y: move.y };
+        }
+        return null;
+    }
+
+    // 색별 표시 개수: { 1: { "!": n, "?": n, "??": n }, 2: {...} }
+    static summarize(annotations) {
+        const summary = {};
+        for (const player of [1, 2]) {
+            summary[player] = { "!": 0, "?": 0, "??": 0 };
+        }
+        for (const a of annotations) {
+            if (a.mark) summary[a.player][a.mark]++;
+        }
+        return summary;
+    }
+
+    // 텍스트 리포트 - info: { size, black, white, result, date }
+    static formatReport(review, { size = 15, black = "", white = "", result = null, date = "" } = {}) {
+        const coord = m => OmokRecord.coordToString(m.x, m.y, size);
+        const count = player => Object.keys(OmokReviewer.MARKS)
+            .map(mark => `${mark} ${review.summary[player][mark]}`).join(", ");
+        const lines = [
+            "# 오목 복기 리포트",
+            `# Black: ${black}`,
+            `# White: ${white}`,
+            `# Result: ${OmokRecord.resultToString(result)}`,
+            `# Date: ${date}`,
+            `# 흑: ${count(1)}`,
+            `# 백: ${count(2)}`,
+            ""
+        ];
+        for (const a of review.annotations) {
+            const side = a.player === 1 ? "흑" : "백";
+            let line = `${String(a.index).padStart(3)}. ${side} ${coord(a).padEnd(3)} ${(a.mark || "").padEnd(2)}`;
+            if (a.best) {
+                line += `  점수 ${Math.round(a.score)} (추천 ${coord(a.best)} ${Math.round(a.best.score)})`;
+            }
+            if (a.reasons.length > 0) line += `  - ${a.reasons.join("; ")}`;
+            lines.push(line.trimEnd());
+        }
+        return lines.join("\n") + "\n";
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OmokReviewer;
+}
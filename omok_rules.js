@@ -0,0 +1,252 @@
+// 오목 규칙 엔진 - 룰셋별 승리 판정과 렌주 금수 판정 (쌍삼, 쌍사, 장목)
+// UI(index.html)와 두 AI(Omok2025, OmokCounter)가 함께 사용하는 공용 모듈
+
+class OmokRules {
+    // freestyle: 5목 이상 승리, gomoku: 정확히 5목만 승리,
+    // renju: 흑은 정확히 5목 + 금수, 백은 5목 이상, caro: 양쪽이 막힌 5목은 무효
+    static RULE_SETS = {
+        freestyle: "자유룰",
+        gomoku: "표준 오목 (정확히 5목)",
+        renju: "렌주룰 (흑 금수)",
+        caro: "카로 (양쪽 막힌 5목 무효)"
+    };
+
+    constructor(boardSize = 15, ruleSet = "renju") {
+        if (!(ruleSet in OmokRules.RULE_SETS)) {
+            throw new Error(`Unknown rule set: ${ruleSet}`);
+        }
+        this.size = boardSize;
+        this.ruleSet = ruleSet;
+        this.dirs = [[1,0], [0,1], [1,1], [1,-1]];
+    }
+
+    inBoard(x, y) {
+        return x >= 0 && y >= 0 && x < this.size && y < this.size;
+    }
+
+    // (x, y)를 지나는 한 방향의 연속된 돌 범위 [뒤쪽 개수, 앞쪽 개수]
+    runBounds(board, x, y, dx, dy, player) {
+        let back = 0, forward = 0;
+        let nx = x + dx, ny = y + dy;
+        while (this.inBoard(nx, ny) && board[ny][nx] === player) {
+            forward++;
+            nx += dx;
+            ny += dy;
+        }
+        nx = x - dx;
+        ny = y - dy;
+        while (this.inBoard(nx, ny) && board[ny][nx] === player) {
+            back++;
+            nx -= dx;
+            ny -= dy;
+        }
+        return [back, forward];
+    }
+
+    countLine(board, x, y, dx, dy, player) {
+        const [back, forward] = this.runBounds(board, x, y, dx, dy, player);
+        return back + forward + 1;
+    }
+
+    // 장목(6목 이상)이 승리로 인정되는지
+    overlineWins(player) {
+        if (this.ruleSet === "gomoku") return false;
+        if (this.ruleSet === "renju") return player !== 1;
+        return true;
+    }
+
+    // 승리 체크 - (x, y)에 player의 돌이 놓여 있어야 함
+    checkWin(board, x, y, player) {
+        for (const [dx, dy] of this.dirs) {
+            if (this.isWinningLine(board, x, y, dx, dy, player)) return true;
+        }
+        return false;
+    }
+
+    isWinningLine(board, x, y, dx, dy, player) {
+        const [back, forward] = this.runBounds(board, x, y, dx, dy, player);
+        const count = back + forward + 1;
+        if (count < 5) return false;
+        if (count > 5 && !this.overlineWins(player)) return false;
+
+        if (this.ruleSet === "caro") {
+            // 양 끝이 모두 상대 돌로 막혀 있으면 무효 (판 끝은 막힌 것으로 보지 않음)
+            const opponent = 3 - player;
+            const fx = x + (forward + 1) * dx, fy = y + (forward + 1) * dy;
+            const bx = x - (back + 1) * dx, by = y - (back + 1) * dy;
+            const blockedForward = this.inBoard(fx, fy) && board[fy][fx] === opponent;
+            const blockedBack = this.inBoard(bx, by) && board[by][bx] === opponent;
+            if (blockedForward && blockedBack) return false;
+        }
+        return true;
+    }
+
+    // (x, y)의 돌이 한 수만 더 두면 승리하는 4를 이루는지 (룰셋 기준)
+    makesFour(board, x, y, player) {
+        for (const [dx, dy] of this.dirs) {
+            for (let k = -4; k <= 4; k++) {
+                if (k === 0) continue;
+                const nx = x + k * dx, ny = y + k * dy;
+                if (!this.inBoard(nx, ny) || board[ny][nx] !== 0) continue;
+
+                board[ny][nx] = player;
+                const wins = this.isWinningLine(board, nx, ny, dx, dy, player) &&
+                             this.countLine(board, x, y, dx, dy, player) >= 5;
+                board[ny][nx] = 0;
+                if (wins) return true;
+            }
+        }
+        return false;
+    }
+
+    isBoardFull(board) {
+        return board.every(row => row.every(cell => cell !== 0));
+    }
+
+    // player가 둘 수 있는 자리가 남아 있는지 (빈 칸이 금수뿐이면 false)
+    hasLegalMove(board, player) {
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (board[y][x] === 0 && !this.isForbidden(board, x, y, player)) return true;
+            }
+        }
+        return false;
+    }
+
+    // player가 둘 수 있는 아무 자리 (중앙에 가까운 순)
+    findLegalMove(board, player) {
+        const center = (this.size - 1) / 2;
+        let best = null, bestDist = Infinity;
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                const dist = Math.abs(x - center) + Math.abs(y - center);
+                if (board[y][x] === 0 && dist < bestDist && !this.isForbidden(board, x, y, player)) {
+                    best = { x, y };
+                    bestDist = dist;
+                }
+            }
+        }
+        return best;
+    }
+
+    // 금수 여부 (렌주룰의 흑만 해당)
+    isForbidden(board, x, y, player) {
+        return this.getForbiddenType(board, x, y, player) !== null;
+    }
+
+    // 금수 종류: 'overline' | 'doubleFour' | 'doubleThree' | null
+    getForbiddenType(board, x, y, player) {
+        if (this.ruleSet !== "renju" || player !== 1 || board[y][x] !== 0) return null;
+        if (!this.mayBeForbidden(board, x, y)) return null;
+
+        board[y][x] = 1; // 임시 착수
+        const type = this.forbiddenAt(board, x, y);
+        board[y][x] = 0; // 되돌리기
+        return type;
+    }
+
+    describe(type) {
+        const names = { overline: "장목", doubleFour: "쌍사", doubleThree: "쌍삼" };
+        return names[type] || "";
+    }
+
+    // 빠른 사전 검사: 주변 흑돌이 부족하면 금수가 될 수 없음
+    mayBeForbidden(board, x, y) {
+        let busyDirs = 0;
+        for (const [dx, dy] of this.dirs) {
+            let stones = 0;
+            for (let k = -5; k <= 5; k++) {
+                if (k === 0) continue;
+                const nx = x + k * dx, ny = y + k * dy;
+                if (this.inBoard(nx, ny) && board[ny][nx] === 1) stones++;
+            }
+            if (stones >= 3) return true;
+            if (stones >= 2) busyDirs++;
+        }
+        return busyDirs >= 2;
+    }
+
+    // (x, y)에 흑돌이 놓인 상태에서 금수 판정
+    forbiddenAt(board, x, y) {
+        let overline = false;
+        for (const [dx, dy] of this.dirs) {
+            const count = this.countLine(board, x, y, dx, dy, 1);
+            if (count === 5) return null; // 5목이 완성되면 금수보다 우선
+            if (count > 5) overline = true;
+        }
+        if (overline) return "overline";
+
+        let fours = 0;
+        for (const [dx, dy] of this.dirs) {
+            fours += this.countFours(board, x, y, dx, dy);
+        }
+        if (fours >= 2) return "doubleFour";
+
+        let threes = 0;
+        for (const [dx, dy] of this.dirs) {
+            if (this.isOpenThree(board, x, y, dx, dy)) threes++;
+        }
+        if (threes >= 2) return "doubleThree";
+
+        return null;
+    }
+
+    // 한 방향에서 (x, y)를 포함해 만들어진 4의 개수
+    // 한 줄에 두 개의 4가 생기는 경우(O_OOO_O, OO_OO_OO)도 쌍사로 센다
+    countFours(board, x, y, dx, dy) {
+        const points = [];
+        for (let k = -4; k <= 4; k++) {
+            if (k === 0) continue;
+            const nx = x + k * dx, ny = y + k * dy;
+            if (!this.inBoard(nx, ny) || board[ny][nx] !== 0) continue;
+
+            board[ny][nx] = 1;
+            if (this.countLine(board, x, y, dx, dy, 1) === 5) points.push(k);
+            board[ny][nx] = 0;
+        }
+
+        // 열린 4 (_OOOO_)는 완성점이 두 개지만 하나의 4
+        if (points.length === 2 && Math.abs(points[1] - points[0]) === 5) return 1;
+        return points.length;
+    }
+
+    // 한 방향에서 (x, y)를 포함한 열린 3인지 확인
+    // 한 수 더 두어 열린 4(_OOOO_)를 만들 수 있고, 그 수가 금수가 아니어야 진짜 3
+    isOpenThree(board, x, y, dx, dy) {
+        for (let k = -4; k <= 4; k++) {
+            if (k === 0) continue;
+            const nx = x + k * dx, ny = y + k * dy;
+            if (!this.inBoard(nx, ny) || board[ny][nx] !== 0) continue;
+
+            board[ny][nx] = 1;
+            let result = false;
+            const [back, forward] = this.runBounds(board, x, y, dx, dy, 1);
+            if (k >= -back && k <= forward && this.isStraightFour(board, x, y, dx, dy, back, forward)) {
+                result = this.forbiddenAt(board, nx, ny) === null;
+            }
+            board[ny][nx] = 0;
+
+            if (result) return true;
+        }
+        return false;
+    }
+
+    // 연속 4목이고 양 끝 어느 쪽에 두어도 정확히 5목이 되는지
+    isStraightFour(board, x, y, dx, dy, back, forward) {
+        if (back + forward + 1 !== 4) return false;
+
+        const ends = [[x + (forward + 1) * dx, y + (forward + 1) * dy, 1],
+                      [x - (back + 1) * dx, y - (back + 1) * dy, -1]];
+        for (const [ex, ey, sign] of ends) {
+            if (!this.inBoard(ex, ey) || board[ey][ex] !== 0) return false;
+            const bx = ex + sign * dx, by = ey + sign * dy;
+            if (this.inBoard(bx, by) && board[by][bx] === 1) return false; // 장목이 됨
+        }
+        return true;
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OmokRules;
+}
\ No newline at end of file
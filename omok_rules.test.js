@@ -0,0 +1,150 @@
+// 규칙 판정 테스트 - 실행: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const OmokRules = require('./omok_rules.js');
+
+function makeBoard(size, black = [], white = []) {
+    const board = Array.from({ length: size }, () => Array(size).fill(0));
+    for (const [x, y] of black) board[y][x] = 1;
+    for (const [x, y] of white) board[y][x] = 2;
+    return board;
+}
+
+// (x, y)에 player의 돌을 놓고 승리인지
+function winsAt(rules, board, x, y, player) {
+    board[y][x] = player;
+    const wins = rules.checkWin(board, x, y, player);
+    board[y][x] = 0;
+    return wins;
+}
+
+test("알 수 없는 룰셋은 Error", () => {
+    assert.throws(() => new OmokRules(15, "pente"), /Unknown rule set/);
+});
+
+test("렌주: 흑의 쌍삼은 금수, 백은 금수 없음", () => {
+    const rules = new OmokRules(15, "renju");
+    const board = makeBoard(15, [[5, 7], [6, 7], [7, 5], [7, 6]]);
+    assert.equal(rules.getForbiddenType(board, 7, 7, 1), "doubleThree");
+    assert.equal(rules.isForbidden(board, 7, 7, 2), false);
+    assert.equal(board[7][7], 0, "판정 후 판은 그대로");
+});
+
+test("렌주: 한쪽이 막힌 3은 열린 3이 아니므로 쌍삼이 아님", () => {
+    const rules = new OmokRules(15, "renju");
+    const board = makeBoard(15, [[5, 7], [6, 7], [7, 5], [7, 6]], [[4, 7]]);
+    assert.equal(rules.getForbiddenType(board, 7, 7, 1), null);
+});
+
+test("렌주: 띈 3(_OO_O_)도 열린 3으로 세어 쌍삼", () => {
+    const rules = new OmokRules(15, "renju");
+    // (8,7)에 두면 가로는 5,6,_,8의 띈 3, 세로는 5,6,7의 3
+    const board = makeBoard(15, [[5, 7], [6, 7], [8, 5], [8, 6]]);
+    assert.equal(rules.getForbiddenType(board, 8, 7, 1), "doubleThree");
+    board[7][8] = 1;
+    assert.equal(rules.isOpenThree(board, 8, 7, 1, 0), true);
+    board[7][8] = 0;
+});
+
+test("렌주: 4를 만드는 자리가 금수인 3은 거짓 3이라 쌍삼이 아님", () => {
+    const rules = new OmokRules(15, "renju");
+    // (7,7)에 두면 가로 5,6,7의 3(왼쪽은 백이 막아 열린 4는 (8,7)에서만)과 세로 7,_,9,10의 띈 3
+    const base = [[5, 7], [6, 7], [7, 9], [7, 10]];
+    assert.equal(rules.getForbiddenType(makeBoard(15, base, [[3, 7]]), 7, 7, 1), "doubleThree");
+
+    // (8,7)이 세로 띈 3과 대각선 띈 3의 쌍삼이 되면 가로는 거짓 3
+    const board = makeBoard(15, [...base, [8, 4], [8, 5], [10, 5], [11, 4]], [[3, 7]]);
+    assert.equal(rules.getForbiddenType(board, 7, 7, 1), null);
+    board[7][7] = 1;
+    assert.equal(rules.getForbiddenType(board, 8, 7, 1), "doubleThree");
+    assert.equal(rules.isOpenThree(board, 7, 7, 1, 0), false);
+    assert.equal(rules.isOpenThree(board, 7, 7, 0, 1), true);
+    board[7][7] = 0;
+});
+
+test("렌주: 4-3은 금수가 아님", () => {
+    const rules = new OmokRules(15, "renju");
+    // (7,7)에 두면 가로는 백이 막은 4, 세로는 열린 3
+    const board = makeBoard(15, [[4, 7], [5, 7], [6, 7], [7, 5], [7, 6]], [[3, 7]]);
+    assert.equal(rules.getForbiddenType(board, 7, 7, 1), null);
+    board[7][7] = 1;
+    assert.equal(rules.countFours(board, 7, 7, 1, 0), 1);
+    assert.equal(rules.isOpenThree(board, 7, 7, 0, 1), true);
+    board[7][7] = 0;
+});
+
+test("렌주: 흑의 쌍사는 금수 (막힌 4 두 개도 포함)", () => {
+    const rules = new OmokRules(15, "renju");
+    const board = makeBoard(15, [[4, 7], [5, 7], [6, 7], [7, 4], [7, 5], [7, 6]], [[3, 7], [7, 3]]);
+    assert.equal(rules.getForbiddenType(board, 7, 7, 1), "doubleFour");
+});
+
+test("렌주: 한 줄의 쌍사 (O_OOO_O)", () => {
+    const rules = new OmokRules(15, "renju");
+    const board = makeBoard(15, [[3, 7], [5, 7], [7, 7], [9, 7]]);
+    assert.equal(rules.getForbiddenType(board, 6, 7, 1), "doubleFour");
+});
+
+test("렌주: 흑의 장목은 금수이고 승리가 아님, 백의 장목은 승리", () => {
+    const rules = new OmokRules(15, "renju");
+    const line = [[2, 7], [3, 7], [4, 7], [6, 7], [7, 7]];
+    const black = makeBoard(15, line);
+    assert.equal(rules.getForbiddenType(black, 5, 7, 1), "overline");
+    assert.equal(winsAt(rules, black, 5, 7, 1), false);
+
+    const white = makeBoard(15, [], line);
+    assert.equal(winsAt(rules, white, 5, 7, 2), true);
+});
+
+test("렌주: 5목이 되는 수는 쌍삼이 함께 생겨도 금수가 아님", () => {
+    const rules = new OmokRules(15, "renju");
+    const board = makeBoard(15, [[3, 7], [4, 7], [5, 7], [6, 7], [7, 5], [7, 6], [8, 8], [9, 9]]);
+    assert.equal(rules.getForbiddenType(board, 7, 7, 1), null);
+    assert.equal(winsAt(rules, board, 7, 7, 1), true);
+});
+
+test("자유룰: 5목과 장목 모두 승리", () => {
+    const rules = new OmokRules(15, "freestyle");
+    const five = makeBoard(15, [[3, 3], [4, 4], [5, 5], [6, 6]]);
+    assert.equal(winsAt(rules, five, 7, 7, 1), true);
+    const six = makeBoard(15, [[2, 7], [3, 7], [4, 7], [6, 7], [7, 7]]);
+    assert.equal(winsAt(rules, six, 5, 7, 1), true);
+    assert.equal(rules.isForbidden(six, 5, 7, 1), false);
+});
+
+test("표준 오목: 정확히 5목만 승리 (양쪽 모두 장목은 무효)", () => {
+    const rules = new OmokRules(15, "gomoku");
+    const five = makeBoard(15, [], [[7, 3], [7, 4], [7, 5], [7, 6]]);
+    assert.equal(winsAt(rules, five, 7, 7, 2), true);
+    for (const player of [1, 2]) {
+        const line = [[2, 7], [3, 7], [4, 7], [6, 7], [7, 7]];
+        const six = player === 1 ? makeBoard(15, line) : makeBoard(15, [], line);
+        assert.equal(winsAt(rules, six, 5, 7, player), false);
+    }
+});
+
+test("카로: 양쪽 끝이 상대 돌로 막힌 5목은 무효", () => {
+    const rules = new OmokRules(15, "caro");
+    const blocked = makeBoard(15, [[3, 7], [4, 7], [5, 7], [6, 7]], [[2, 7], [8, 7]]);
+    assert.equal(winsAt(rules, blocked, 7, 7, 1), false);
+
+    const oneSide = makeBoard(15, [[3, 7], [4, 7], [5, 7], [6, 7]], [[2, 7]]);
+    assert.equal(winsAt(rules, oneSide, 7, 7, 1), true);
+});
+
+test("카로: 판 끝은 막힌 것으로 보지 않음", () => {
+    const rules = new OmokRules(15, "caro");
+    const board = makeBoard(15, [[0, 7], [1, 7], [2, 7], [3, 7]], [[5, 7]]);
+    assert.equal(winsAt(rules, board, 4, 7, 1), true);
+});
+
+test("둘 수 있는 자리는 중앙에 가까운 순, 금수 자리는 건너뜀", () => {
+    const rules = new OmokRules(15, "renju");
+    assert.deepEqual(rules.findLegalMove(makeBoard(15), 1), { x: 7, y: 7 });
+
+    const board = makeBoard(15, [[6, 8], [5, 8], [8, 6], [8, 5]]);
+    assert.equal(rules.isForbidden(board, 8, 8, 1), true);
+    const move = rules.findLegalMove(board, 1);
+    assert.equal(rules.isForbidden(board, move.x, move.y, 1), false);
+    assert.equal(rules.hasLegalMove(board, 1), true);
+});
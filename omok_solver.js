@@ -0,0 +1,264 @@
+// 오목 풀이기 - 증명수 탐색(Proof-Number Search)으로 국면의 승패를 증명
+//
+// 둘 차례인 쪽 기준 결과: "win"(필승) | "loss"(필패) | "draw"(양쪽 모두 이길 수 없음) | "unknown"(예산 안에 증명 못 함)
+// 먼저 둘 차례인 쪽의 승리를, 반증되면 상대의 승리를 같은 노드/시간 예산 안에서 증명한다.
+// 수 생성은 OmokCounter와 같다 (돌 주변 2칸, 금수 제외, 상대 4가 있으면 막는 수만, 4를 먼저).
+//
+// Node에서 실행:
+//   node omok_solver.js "h8 i9 h9 i8 h7"
+//   node omok_solver.js --nodes 500000 --time 30000 --rule freestyle game.sgf
+
+// Node에서는 <script> 태그 대신 require로 필요한 모듈을 불러온다
+if (typeof module !== 'undefined' && module.exports) {
+    if (typeof OmokRules === 'undefined') globalThis.OmokRules = require('./omok_rules.js');
+    if (typeof OmokCounter === 'undefined') globalThis.OmokCounter = require('./omok_counter.js');
+}
+
+class OmokSolver {
+    static RESULTS = { win: "필승", loss: "필패", draw: "무승부", unknown: "증명 못 함" };
+
+    constructor(boardSize = 15, options = {}) {
+        this.size = boardSize;
+        this.ruleSet = options.ruleSet || "renju";
+        this.rules = new OmokRules(boardSize, this.ruleSet);
+        this.tactics = new OmokCounter(boardSize, { ruleSet: this.ruleSet });
+        this.vcfDepth = options.vcfDepth ?? 10; // 새 노드마다 읽는 VCF 깊이 (0이면 읽지 않음)
+        this.vcfTimeLimit = options.vcfTimeLimit || 100; // 새 노드 VCF 한 번의 시간 제한(ms)
+        this.maxNodes = options.maxNodes || 200000;
+        this.timeLimit = options.timeLimit || 10000; // ms
+        this.onProgress = null; // 진행 상황 콜백 { nodes, elapsed, proof, disproof }
+    }
+
+    // 결과: { result, player, line: [{ x, y, player }], nodes, elapsed }
+    // line은 증명 트리의 주 수순 (이기는 쪽은 가장 빨리, 지는 쪽은 가장 오래 버티는 수)
+    solve(board, player) {
+        const budget = { nodes: 0, deadline: Date.now() + this.timeLimit, startTime: Date.now() };
+        const work = board.map(row => [...row]);
+        const done = (result, line = []) => ({
+            result, player, line, nodes: budget.nodes, elapsed: Date.now() - budget.startTime
+        });
+
+        const own = this.prove(work, player, player, budget);
+        if (own.proven) return done("win", own.line);
+        if (!own.disproven) return done("unknown");
+
+        const opponent = this.prove(work, player, 3 - player, budget);
+        if (opponent.proven) return done("loss", opponent.line);
+        return done(opponent.disproven ? "draw" : "unknown");
+    }
+
+    // attacker의 승리를 증명 (OR 노드 = attacker 차례, AND 노드 = 수비 차례)
+    prove(board, toMove, attacker, budget) {
+        const root = { x: -1, y: -1, toMove, pn: 1, dn: 1, children: null, parent: null };
+        let iterations = 0;
+
+        while (root.pn !== 0 && root.dn !== 0) {
+            if (budget.nodes >= this.maxNodes || Date.now() > budget.deadline) break;
+
+            // 가장 증명에 가까운 잎까지 내려가며 수를 놓음
+            let node = root;
+            const path = [];
+            while (node.children) {
+                node = this.selectChild(node, attacker);
+                board[node.y][node.x] = 3 - node.toMove;
+                path.push(node);
+            }
+
+            this.expand(board, node, attacker, budget);
+
+            // 증명수/반증수를 뿌리까지 갱신하고 판을 되돌림
+            for (let n = node; n; n = n.parent) this.updateNumbers(n, attacker);
+            for (const n of path) board[n.y][n.x] = 0;
+
+            if (this.onProgress && ++iterations % 500 === 0) {
+                this.onProgress({
+                    nodes: budget.nodes,
+                    elapsed: Date.now() - budget.startTime,
+                    proof: root.pn,
+                    disproof: root.dn
+                });
+            }
+        }
+
+        return {
+            proven: root.pn === 0,
+            disproven: root.dn === 0,
+            line: root.pn === 0 ? this.mainLine(root, attacker) : []
+        };
+    }
+
+    selectChild(node, attacker) {
+        const key = node.toMove === attacker ? "pn" : "dn";
+        let best = node.children[0];
+        for (const child of node.children) {
+            if (child[key] < best[key]) best = child;
+        }
+        return best;
+    }
+
+    updateNumbers(node, attacker) {
+        if (!node.children || node.children.length === 0) return;
+        const or = node.toMove === attacker;
+        let min = Infinity;
+        let sum = 0;
+        for (const child of node.children) {
+            const [a, b] = or ? [child.pn, child.dn] : [child.dn, child.pn];
+            min = Math.min(min, a);
+            sum += b;
+        }
+        if (or) {
+            node.pn = min;
+            node.dn = sum;
+        } else {
+            node.dn = min;
+            node.pn = sum;
+        }
+    }
+
+    // 자식 노드 생성 - 5목이 되는 수는 바로 승리로, 4를 만드는 수는 더 유망하게 초기화
+    // 둘 차례인 쪽에 VCF가 있으면 더 펼치지 않고 그 수순으로 승패를 정함 (새 자식은 만들 때, 뿌리는 펼칠 때 검사)
+    expand(board, node, attacker, budget) {
+        const player = node.toMove;
+        const moves = this.generateMoves(board, player);
+        node.children = [];
+
+        if (!node.parent && moves.length > 0 && !moves[0].five) {
+            const vcf = this.searchVCF(board, player);
+            if (vcf) {
+                node.vcf = vcf;
+                this.setWinner(node, player, attacker);
+                return;
+            }
+        }
+
+        if (moves.length === 0) {
+            // 상대 4를 막을 수 없으면 패배, 둘 곳이 없으면 무승부 (attacker가 이기지 못함)
+            const lost = this.tactics.findFivePoints(board, 3 - player).length > 0;
+            this.setWinner(node, lost ? 3 - player : 0, attacker);
+            return;
+        }
+
+        for (const { x, y, five, four } of moves) {
+            const child = { x, y, toMove: 3 - player, pn: 1, dn: 1, children: null, parent: node };
+            let winner = five ? player : 0;
+            if (!five) {
+                board[y][x] = player;
+                const vcf = this.searchVCF(board, child.toMove);
+                board[y][x] = 0;
+                if (vcf) {
+                    child.vcf = vcf;
+                    winner = child.toMove;
+                }
+            }
+
+            if (winner) {
+                this.setWinner(child, winner, attacker);
+            } else if (four) {
+                // 4는 응수가 하나뿐이라 그 쪽으로 먼저 읽음
+                if (player === attacker) child.dn = 2;
+                else child.pn = 2;
+            }
+            node.children.push(child);
+            budget.nodes++;
+        }
+    }
+
+    // 승패가 정해진 노드 - winner가 attacker가 아니면(상대 승리, 무승부) 반증
+    setWinner(node, winner, attacker) {
+        node.pn = winner === attacker ? 0 : Infinity;
+        node.dn = winner === attacker ? Infinity : 0;
+    }
+
+    searchVCF(board, player) {
+        if (this.vcfDepth === 0) return null;
+        const vcf = this.tactics.searchVCF(board, player, this.vcfDepth, this.vcfTimeLimit);
+        return vcf && vcf.sequence;
+    }
+
+    // 둘 수 있는 수: 5목이 있으면 그 수 하나, 상대 4가 있으면 막는 수만, 아니면 후보수 전체 (4 먼저)
+    generateMoves(board, player) {
+        const candidates = this.tactics.getCandidateMoves(board);
+        for (const [x, y] of candidates) {
+            board[y][x] = player;
+            const five = this.tactics.checkWin(board, x, y, player);
+            board[y][x] = 0;
+            if (five) return [{ x, y, five: true, four: false }];
+        }
+
+        const blocks = this.tactics.findFivePoints(board, 3 - player);
+        const points = blocks.length > 0 ? blocks.map(p => [p.x, p.y]) : candidates;
+        const moves = [];
+        for (const [x, y] of points) {
+            if (this.rules.isForbidden(board, x, y, player)) continue;
+            board[y][x] = player;
+            const four = this.tactics.hasFour(board, x, y, player);
+            board[y][x] = 0;
+            moves.push({ x, y, five: false, four });
+        }
+        return moves.sort((a, b) => b.four - a.four);
+    }
+
+    // 증명된 트리의 주 수순 - attacker는 가장 짧은 승리, 수비는 가장 긴 저항
+    mainLine(root, attacker) {
+        const lengths = new Map();
+        const length = node => {
+            if (node.vcf) return node.vcf.length;
+            if (!node.children || node.children.length === 0) return 0;
+            if (lengths.has(node)) return lengths.get(node);
+            const proven = node.children.filter(c => c.pn === 0).map(length);
+            const value = 1 + (node.toMove === attacker ? Math.min(...proven) : Math.max(...proven));
+            lengths.set(node, value);
+            return value;
+        };
+
+        const line = [];
+        let node = root;
+        while (node.children && node.children.length > 0) {
+            const proven = node.children.filter(c => c.pn === 0);
+            const pick = node.toMove === attacker ? Math.min : Math.max;
+            const target = pick(...proven.map(length));
+            node = proven.find(c => length(c) === target);
+            line.push({ x: node.x, y: node.y, player: 3 - node.toMove });
+        }
+        return node.vcf ? [...line, ...node.vcf] : line;
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OmokSolver;
+}
+
+// 명령줄 실행: 기보(좌표/Gomocup/SGF 파일 또는 좌표 문자열)의 마지막 국면을 풀이
+if (typeof require !== 'undefined' && typeof module !== 'undefined' && require.main === module) {
+    const fs = require('fs');
+    const OmokRecord = require('./omok_record.js');
+    const args = process.argv.slice(2);
+    const options = {};
+    let input = null;
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case "--nodes": options.maxNodes = parseInt(args[++i], 10); break;
+            case "--time": options.timeLimit = parseInt(args[++i], 10); break;
+            case "--rule": options.ruleSet = args[++i]; break;
+            default: input = args[i];
+        }
+    }
+    if (!input) {
+        console.error("Usage: node omok_solver.js [--nodes n] [--time ms] [--rule name] <record file | \"h8 i9 ...\">");
+        process.exit(1);
+    }
+
+    const record = OmokRecord.parse(fs.existsSync(input) ? fs.readFileSync(input, "utf8") : input);
+    const board = Array.from({ length: record.size }, () => Array(record.size).fill(0));
+    for (const m of record.moves) board[m.y][m.x] = m.player;
+    const last = record.moves[record.moves.length - 1];
+    const player = last ? 3 - last.player : 1;
+
+    const solver = new OmokSolver(record.size, { ruleSet: options.ruleSet || record.ruleSet, ...options });
+    const solution = solver.solve(board, player);
+    const line = solution.line.map(m => OmokRecord.coordToString(m.x, m.y, record.size)).join(" ");
+    console.log(`${player === 1 ? "흑" : "백"} 차례: ${OmokSolver.RESULTS[solution.result]} (${solution.result})`);
+    console.log(`수순: ${line || "-"}`);
+    console.log(`${solution.nodes} 노드, ${solution.elapsed}ms`);
+}
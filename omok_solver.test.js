@@ -0,0 +1,54 @@
+// 증명수 탐색 풀이기 테스트 - 실행: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const OmokSolver = require('./omok_solver.js');
+
+function makeBoard(size, black = [], white = []) {
+    const board = Array.from({ length: size }, () => Array(size).fill(0));
+    for (const [x, y] of black) board[y][x] = 1;
+    for (const [x, y] of white) board[y][x] = 2;
+    return board;
+}
+
+// 한쪽이 막힌 3 두 개 - (10,7)에 두면 4가 두 개 (자유룰)
+const ATTACKER = [[7, 7], [8, 7], [9, 7], [10, 8], [10, 9], [10, 10]];
+const DEFENDER = [[6, 7], [10, 11]];
+
+test("VCF가 있는 국면은 필승, 수순은 쌍사와 막는 수와 5목", () => {
+    const solver = new OmokSolver(15, { ruleSet: "freestyle" });
+    const board = makeBoard(15, ATTACKER, DEFENDER);
+    const solution = solver.solve(board, 1);
+    assert.equal(solution.result, "win");
+    assert.equal(solution.player, 1);
+    assert.deepEqual(solution.line, [
+        { x: 10, y: 7, player: 1 }, { x: 11, y: 7, player: 2 }, { x: 10, y: 6, player: 1 }
+    ]);
+    assert.deepEqual(board, makeBoard(15, ATTACKER, DEFENDER), "풀이 후 판은 그대로");
+});
+
+test("색을 바꿔 쌍사를 맞은 쪽이 둘 차례면 필패, 수순은 막는 수와 상대의 5목", () => {
+    const solver = new OmokSolver(15, { ruleSet: "freestyle" });
+    const solution = solver.solve(makeBoard(15, DEFENDER, [...ATTACKER, [10, 7]]), 1);
+    assert.equal(solution.result, "loss");
+    // 5목 자리 하나를 막아도 남은 자리에 5목
+    assert.deepEqual(solution.line, [{ x: 10, y: 6, player: 1 }, { x: 11, y: 7, player: 2 }]);
+});
+
+test("빈 자리가 남아도 5목이 나올 수 없으면 무승부", () => {
+    const solver = new OmokSolver(15, { ruleSet: "freestyle" });
+    // 가로로 두 개씩 번갈아 채운 판 - 어느 줄에도 같은 색 5개가 없음
+    const board = Array.from({ length: 15 }, (_, y) => Array.from({ length: 15 }, (_, x) => (Math.floor(x / 2) + y) % 2 + 1));
+    board[7][7] = 0;
+    board[7][8] = 0;
+    const solution = solver.solve(board, 1);
+    assert.equal(solution.result, "draw");
+    assert.deepEqual(solution.line, []);
+});
+
+test("노드 예산 안에 증명하지 못하면 unknown", () => {
+    const solver = new OmokSolver(15, { ruleSet: "renju", maxNodes: 300 });
+    const solution = solver.solve(makeBoard(15, [[7, 7], [8, 8]], [[8, 7]]), 2);
+    assert.equal(solution.result, "unknown");
+    assert.deepEqual(solution.line, []);
+    assert.ok(solution.nodes >= 300 && solution.nodes < 600, `예산 근처에서 멈춤: ${solution.nodes}`);
+});
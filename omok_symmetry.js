@@ -0,0 +1,137 @@
+// 오목 판 대칭 - 판을 자기 자신으로 옮기는 8가지 대칭(회전 4 × 뒤집기 2)과 국면의 표준형
+//
+// 대칭 번호 t (0 ~ 7): TRANSFORMS[t](x, y, n)은 마지막 줄 번호가 n(= 크기 - 1)인 판에서 (x, y)가 옮겨 가는 자리
+// 표준형: 대칭 8개로 옮긴 판 중 키가 가장 작은 것 - 회전하거나 뒤집은 같은 국면은 같은 표준형이 된다
+//   키: 돌을 "(y * 크기 + x) * 2 + (색 - 1)"로 적어 정렬한 목록의 문자열 (돌 수로 둘 차례도 정해짐)
+//   transform: 지금 판을 표준형으로 옮기는 대칭 (국면 자체가 대칭이면 transforms에 여럿)
+//
+// 표준형에 저장한 수는 toCanonical로 옮겨 넣고 fromCanonical로 지금 판의 방향으로 되돌린다.
+// 치환표(OmokBoard의 대칭 Zobrist 키), 오프닝 북, 오프닝 규칙의 후보 중복 검사가 이 모듈을 쓴다.
+
+class OmokSymmetry {
+    static TRANSFORMS = [
+        (x, y, n) => [x, y],         // 그대로
+        (x, y, n) => [n - y, x],     // 시계 방향 90도
+        (x, y, n) => [n - x, n - y], // 180도
+        (x, y, n) => [y, n - x],     // 반시계 방향 90도
+        (x, y, n) => [n - x, y],     // 좌우 뒤집기
+        (x, y, n) => [x, n - y],     // 상하 뒤집기
+        (x, y, n) => [y, x],         // 주대각선 뒤집기
+        (x, y, n) => [n - y, n - x]  // 반대각선 뒤집기
+    ];
+    static INVERSES = [0, 3, 2, 1, 4, 5, 6, 7]; // TRANSFORMS[t]를 되돌리는 대칭의 번호
+
+    static cellMaps = new Map(); // 판 크기 → 대칭마다 칸 번호(y * 크기 + x) → 옮긴 칸 번호 (Int32Array 8개)
+
+    // 대칭 t로 옮긴 자리 { x, y } (다른 필드는 그대로)
+    static apply(t, move, size) {
+        const [x, y] = OmokSymmetry.TRANSFORMS[t](move.x, move.y, size - 1);
+        return { ...move, x, y };
+    }
+
+    // 대칭 t로 옮기기 전의 자리
+    static invert(t, move, size) {
+        return OmokSymmetry.apply(OmokSymmetry.INVERSES[t], move, size);
+    }
+
+    static cellMap(size) {
+        if (!OmokSymmetry.cellMaps.has(size)) {
+            OmokSymmetry.cellMaps.set(size, OmokSymmetry.TRANSFORMS.map(transform => {
+                const map = new Int32Array(size * size);
+                for (let y = 0; y < size; y++) {
+                    for (let x = 0; x < size; x++) {
+                        const [tx, ty] = transform(x, y, size - 1);
+                        map[y * size + x] = ty * size + tx;
+                    }
+                }
+                return map;
+            }));
+        }
+        return OmokSymmetry.cellMaps.get(size);
+    }
+
+    static transformBoard(board, t) {
+        const size = board.length;
+        const result = Array.from({ length: size }, () => Array(size).fill(0));
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (board[y][x] === 0) continue;
+                const [tx, ty] = OmokSymmetry.TRANSFORMS[t](x, y, size - 1);
+                result[ty][tx] = board[y][x];
+            }
+        }
+        return result;
+    }
+
+    // 대칭마다의 키
+    static keys(board) {
+        const size = board.length;
+        const stones = [];
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (board[y][x] !== 0) stones.push((y * size + x) * 2 + board[y][x] - 1);
+            }
+        }
+        return OmokSymmetry.cellMap(size).map(map => stones
+            .map(code => map[code >> 1] * 2 + (code & 1))
+            .sort((a, b) => a - b)
+            .join("."));
+    }
+
+    // 표준형 → { key, transform, transforms }
+    static canonical(board) {
+        const keys = OmokSymmetry.keys(board);
+        const key = keys.reduce((min, k) => k < min ? k : min);
+        const transforms = [];
+        keys.forEach((k, t) => {
+            if (k === key) transforms.push(t);
+        });
+        return { key, transform: transforms[0], transforms };
+    }
+
+    // 판과 그 판에 둘 수 하나의 표준형 → { key, transform, move }
+    // 국면이 대칭이면 같은 수가 여러 자리로 옮겨질 수 있어 칸 번호가 가장 작은 자리로 정한다
+    static canonicalMove(board, move) {
+        const size = board.length;
+        const { key, transforms } = OmokSymmetry.canonical(board);
+        let best = null;
+        for (const t of transforms) {
+            const moved = OmokSymmetry.apply(t, move, size);
+            if (!best || moved.y * size + moved.x < best.move.y * size + best.move.x) best = { transform: t, move: moved };
+        }
+        return { key, ...best };
+    }
+
+    // 지금 판의 수(또는 수 목록)를 canonical()의 transform으로 표준형 방향으로
+    static toCanonical(moves, transform, size) {
+        if (!moves || transform === 0) return moves;
+        return Array.isArray(moves)
+            ? moves.map(move => OmokSymmetry.apply(transform, move, size))
+            : OmokSymmetry.apply(transform, moves, size);
+    }
+
+    // 표준형 방향의 수(또는 수 목록)를 지금 판의 방향으로
+    static fromCanonical(moves, transform, size) {
+        return OmokSymmetry.toCanonical(moves, OmokSymmetry.INVERSES[transform], size);
+    }
+
+    // 판을 그대로 두는 대칭들 (항상 0번 포함)
+    static symmetries(board) {
+        const keys = OmokSymmetry.keys(board);
+        return keys.flatMap((key, t) => key === keys[0] ? [t] : []);
+    }
+
+    // 두 자리가 이 판의 대칭으로 같은 수인지
+    static equivalent(board, a, b) {
+        const size = board.length;
+        return OmokSymmetry.symmetries(board).some(t => {
+            const moved = OmokSymmetry.apply(t, a, size);
+            return moved.x === b.x && moved.y === b.y;
+        });
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OmokSymmetry;
+}
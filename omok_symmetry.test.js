@@ -0,0 +1,108 @@
+// 판 대칭과 표준형 테스트 - 실행: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const OmokSymmetry = require('./omok_symmetry.js');
+const OmokBoard = require('./omok_board.js');
+
+const SIZE = 15;
+
+function makeBoard(stones) {
+    const board = Array.from({ length: SIZE }, () => Array(SIZE).fill(0));
+    for (const { x, y, player } of stones) board[y][x] = player;
+    return board;
+}
+
+// 대칭이 없는 국면 (흑 3, 백 2)
+const STONES = [
+    { x: 7, y: 7, player: 1 }, { x: 8, y: 7, player: 2 }, { x: 8, y: 9, player: 1 },
+    { x: 3, y: 4, player: 2 }, { x: 10, y: 1, player: 1 }
+];
+
+test("INVERSES[t]는 TRANSFORMS[t]를 되돌림", () => {
+    for (let t = 0; t < 8; t++) {
+        for (const move of STONES) {
+            const moved = OmokSymmetry.apply(t, move, SIZE);
+            assert.deepEqual(OmokSymmetry.invert(t, moved, SIZE), move);
+        }
+    }
+});
+
+test("대칭은 판 밖으로 나가지 않고 칸 번호 표와 같은 자리로 옮김", () => {
+    const maps = OmokSymmetry.cellMap(SIZE);
+    for (let t = 0; t < 8; t++) {
+        for (const move of [{ x: 0, y: 0 }, { x: 14, y: 3 }, { x: 5, y: 14 }]) {
+            const { x, y } = OmokSymmetry.apply(t, move, SIZE);
+            assert.ok(x >= 0 && y >= 0 && x < SIZE && y < SIZE);
+            assert.equal(maps[t][move.y * SIZE + move.x], y * SIZE + x);
+        }
+    }
+});
+
+test("transformBoard는 돌마다 apply와 같은 자리로 옮김", () => {
+    const board = makeBoard(STONES);
+    for (let t = 0; t < 8; t++) {
+        const moved = OmokSymmetry.transformBoard(board, t);
+        for (const stone of STONES) {
+            const { x, y } = OmokSymmetry.apply(t, stone, SIZE);
+            assert.equal(moved[y][x], stone.player);
+        }
+    }
+});
+
+test("회전하거나 뒤집은 국면은 같은 표준형 키", () => {
+    const board = makeBoard(STONES);
+    const { key } = OmokSymmetry.canonical(board);
+    for (let t = 1; t < 8; t++) {
+        const moved = OmokSymmetry.transformBoard(board, t);
+        assert.equal(OmokSymmetry.canonical(moved).key, key);
+    }
+    // 색을 바꾸면 다른 국면
+    const swapped = makeBoard(STONES.map(s => ({ ...s, player: 3 - s.player })));
+    assert.notEqual(OmokSymmetry.canonical(swapped).key, key);
+});
+
+test("toCanonical/fromCanonical 왕복과 표준형 방향의 수", () => {
+    const board = makeBoard(STONES);
+    const move = { x: 9, y: 8 };
+    for (let t = 0; t < 8; t++) {
+        const moved = OmokSymmetry.transformBoard(board, t);
+        const movedMove = OmokSymmetry.apply(t, move, SIZE);
+        const { key, transform } = OmokSymmetry.canonical(moved);
+        const canonicalMove = OmokSymmetry.toCanonical(movedMove, transform, SIZE);
+        assert.deepEqual(OmokSymmetry.fromCanonical(canonicalMove, transform, SIZE), movedMove);
+
+        // 어느 방향에서 찾아도 표준형에서는 같은 수
+        const expected = OmokSymmetry.canonicalMove(board, move);
+        assert.equal(key, expected.key);
+        assert.deepEqual(OmokSymmetry.canonicalMove(moved, movedMove).move, expected.move);
+    }
+});
+
+test("빈 판은 8가지 대칭을 모두 가지고, 대칭 국면에서는 대칭인 두 수가 같은 수", () => {
+    const empty = makeBoard([]);
+    assert.deepEqual(OmokSymmetry.symmetries(empty), [0, 1, 2, 3, 4, 5, 6, 7]);
+
+    const center = makeBoard([{ x: 7, y: 7, player: 1 }]);
+    assert.equal(OmokSymmetry.equivalent(center, { x: 8, y: 8 }, { x: 6, y: 6 }), true);
+    assert.equal(OmokSymmetry.equivalent(center, { x: 8, y: 8 }, { x: 8, y: 7 }), false);
+    assert.deepEqual(OmokSymmetry.symmetries(makeBoard(STONES)), [0]);
+});
+
+test("OmokBoard의 증분 대칭 키도 회전하거나 뒤집은 국면에서 같음", () => {
+    const evaluator = { evaluateStone: () => 0 };
+    const board = makeBoard(STONES);
+    const expected = new OmokBoard(board, evaluator).canonicalKey();
+    for (let t = 1; t < 8; t++) {
+        const position = new OmokBoard(OmokSymmetry.transformBoard(board, t), evaluator);
+        const { hi, lo } = position.canonicalKey();
+        assert.deepEqual({ hi, lo }, { hi: expected.hi, lo: expected.lo });
+    }
+
+    // 착수/무르기로 갱신한 키는 처음부터 만든 판의 키와 같음
+    const position = new OmokBoard(makeBoard([]), evaluator);
+    for (const { x, y, player } of STONES) position.place(x, y, player);
+    assert.deepEqual(position.canonicalKey(), expected);
+    position.undo();
+    const fresh = new OmokBoard(makeBoard(STONES.slice(0, -1)), evaluator);
+    assert.deepEqual(position.canonicalKey(), fresh.canonicalKey());
+});
@@ -0,0 +1,365 @@
+#!/usr/bin/env node
+// 오목 AI 토너먼트 - 등록된 엔진끼리 헤드리스로 대국하고 결과를 집계
+//
+// 사용법:
+//   node omok_tournament.js --engines 2025,counter --games 10 --time 3000
+//   node omok_tournament.js --engines 2025,counter --games 20 --random-moves 2 --seed 7 --json report.json
+//   node omok_tournament.js --engines counter:maxDepth=4,counter:maxDepth=6 --ratings ratings.json
+//   node omok_tournament.js --engines mcts:playouts=20000,counter --games 4
+//   node omok_tournament.js --engines 2025:maxDepth=8,counter --games 10 --time 1000   (같은 수당 시간으로 비교)
+//
+// 옵션:
+//   --engines <a,b,...>   대국할 엔진 (2개 이상이면 모든 조합끼리 리그전)
+//                         "엔진:옵션=값:옵션=값" 형식으로 엔진 설정을 지정할 수 있음
+//                         (엔진과 옵션은 omok_engines.js 레지스트리에 등록된 것, --list로 확인)
+//   --games <n>           조합마다 둘 대국 수 (흑백을 번갈아 맡음, 기본 2)
+//   --time <ms>           수당 제한 시간 (기본 3000)
+//   --grace <ms>          제한 시간 초과 허용치, 넘기면 시간패 (기본 1000)
+//   --size <n>            판 크기 (기본 15)
+//   --rule <name>         freestyle | gomoku | renju | caro (기본 renju)
+//   --max-moves <n>       이 수에 도달하면 무승부 (기본 0 - 제한 없음)
+//   --random-moves <n>    대국마다 중앙 근처에 무작위로 둘 초반 수 (기본 0)
+//   --seed <n>            무작위 초반 수의 시드 (기본 1)
+//   --opening <name>      오프닝 규칙 none | swap | swap2 | soosorv8 | taraguchi10 (기본 none)
+//                         엔진이 개시 결정을 내리고, 흑백을 바꾸면 바뀐 색으로 집계 (--random-moves와 함께 쓸 수 없음)
+//   --json <file>         결과를 JSON 파일로 저장 ("-"이면 표준 출력)
+//   --ratings <file>      대국 결과를 레이팅 저장소(JSON)에 누적하고 순위표 출력
+//   --quiet               대국별 진행 로그 생략
+//   --list                등록된 엔진과 옵션 목록 출력
+
+const fs = require('fs');
+const OmokRules = require('./omok_rules.js');
+const OmokEngines = require('./omok_engines.js');
+const OmokOpening = require('./omok_opening.js');
+const OmokRatings = require('./omok_rating.js');
+
+const DEFAULTS = {
+    engines: ["2025", "counter"],
+    games: 2,
+    time: 3000,
+    grace: 1000,
+    size: 15,
+    rule: "renju",
+    maxMoves: 0,
+    randomMoves: 0,
+    seed: 1,
+    opening: "none",
+    json: null,
+    ratings: null,
+    quiet: false
+};
+
+function parseArgs(argv) {
+    const opts = { ...DEFAULTS };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+        switch (arg) {
+            case "--engines": opts.engines = next().split(",").map(s => s.trim()).filter(Boolean); break;
+            case "--ratings": opts.ratings = next(); break;
+            case "--games": opts.games = parseInt(next(), 10); break;
+            case "--time": opts.time = parseInt(next(), 10); break;
+            case "--grace": opts.grace = parseInt(next(), 10); break;
+            case "--size": opts.size = parseInt(next(), 10); break;
+            case "--rule": opts.rule = next(); break;
+            case "--max-moves": opts.maxMoves = parseInt(next(), 10); break;
+            case "--random-moves": opts.randomMoves = parseInt(next(), 10); break;
+            case "--seed": opts.seed = parseInt(next(), 10); break;
+            case "--opening": opts.opening = next(); break;
+            case "--json": opts.json = next(); break;
+            case "--quiet": opts.quiet = true; break;
+            case "--list": opts.list = true; break;
+            case "--help":
+            case "-h":
+                opts.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    opts.engines = opts.engines.map(parseEngineSpec);
+    if (opts.engines.length < 2) throw new Error("At least two engines are required");
+    if (new Set(opts.engines.map(e => e.label)).size !== opts.engines.length) {
+        throw new Error("Engine configurations must be distinct");
+    }
+    if (!(opts.rule in OmokRules.RULE_SETS)) throw new Error(`Unknown rule set: ${opts.rule}`);
+    if (!(opts.opening in OmokOpening.PROTOCOLS)) throw new Error(`Unknown opening protocol: ${opts.opening}`);
+    if (opts.opening !== "none" && opts.randomMoves > 0) throw new Error("--opening and --random-moves cannot be combined");
+    return opts;
+}
+
+// "counter:maxDepth=4:timeLimit=1000" → { id, options, label }
+function parseEngineSpec(spec) {
+    const { id, options } = OmokEngines.parseSpec(spec);
+    return { id, options, label: OmokRatings.playerId(id, options) };
+}
+
+// 시드 고정 난수 (mulberry32)
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// 중앙 5x5 안에서 규칙상 둘 수 있는 무작위 초반 수
+function randomOpening(rules, count, random) {
+    const size = rules.size;
+    const board = Array.from({ length: size }, () => Array(size).fill(0));
+    const center = Math.floor(size / 2);
+    const moves = [];
+
+    for (let i = 0; i < count; i++) {
+        const player = i % 2 === 0 ? 1 : 2;
+        const empty = [];
+        for (let y = center - 2; y <= center + 2; y++) {
+            for (let x = center - 2; x <= center + 2; x++) {
+                if (rules.inBoard(x, y) && board[y][x] === 0 && !rules.isForbidden(board, x, y, player)) {
+                    empty.push({ x, y });
+                }
+            }
+        }
+        if (empty.length === 0) break;
+        const { x, y } = empty[Math.floor(random() * empty.length)];
+        board[y][x] = player;
+        moves.push({ x, y, player });
+    }
+    return moves;
+}
+
+// 오프닝 규칙대로 개시 - players[색]이 그 색의 결정을 내림 (openingMove가 없는 엔진은 형세 판단 없이)
+// 결과 { moves, swaps } - swaps가 홀수면 처음 흑이던 엔진이 백을 잡음
+function playOpening(players, protocol, rules, random) {
+    const opening = new OmokOpening(protocol, rules.size, rules.ruleSet);
+    while (!opening.done) {
+        const engine = players[opening.swaps % 2 === 0 ? opening.request.color : 3 - opening.request.color];
+        opening.answer(typeof engine.openingMove === "function"
+            ? engine.openingMove(opening)
+            : OmokOpening.decide(opening, () => 0, random));
+    }
+    return { moves: opening.moves, swaps: opening.swaps };
+}
+
+// 한 판 대국 - 결과 { winner: 0(무승부) | 1 | 2, reason, moves }
+// 무승부 사유: "full"(판이 가득 참), "no-legal-move"(남은 칸이 모두 금수), "move-limit"
+function playGame(black, white, { rules, timeLimit, grace, maxMoves = 0, opening = [] }) {
+    const size = rules.size;
+    const board = Array.from({ length: size }, () => Array(size).fill(0));
+    const players = { 1: black, 2: white };
+    const moves = [];
+
+    for (const move of opening) {
+        board[move.y][move.x] = move.player;
+        moves.push({ ...move, opening: true });
+    }
+
+    let player = moves.length % 2 === 0 ? 1 : 2;
+    for (;;) {
+        if (!rules.hasLegalMove(board, player)) {
+            return { winner: 0, reason: rules.isBoardFull(board) ? "full" : "no-legal-move", moves };
+        }
+        if (maxMoves > 0 && moves.length >= maxMoves) {
+            return { winner: 0, reason: "move-limit", moves };
+        }
+
+        const startTime = Date.now();
+        const move = players[player].getMove(board.map(row => [...row]), player);
+        const time = Date.now() - startTime;
+
+        if (time > timeLimit + grace) {
+            return { winner: 3 - player, reason: "time", moves };
+        }
+        if (!move) {
+            return { winner: 3 - player, reason: "no-move", moves };
+        }
+
+        const { x, y } = move;
+        if (!rules.inBoard(x, y) || board[y][x] !== 0 || rules.isForbidden(board, x, y, player)) {
+            return { winner: 3 - player, reason: "illegal", moves };
+        }
+
+        board[y][x] = player;
+        moves.push({ x, y, player, time });
+
+        if (rules.checkWin(board, x, y, player)) {
+            return { winner: player, reason: "five", moves };
+        }
+        player = 3 - player;
+    }
+}
+
+function emptyStats(spec) {
+    return {
+        engine: spec.label,
+        name: OmokEngines.get(spec.id).name,
+        games: 0,
+        black: { wins: 0, losses: 0, draws: 0 },
+        white: { wins: 0, losses: 0, draws: 0 },
+        moves: 0,
+        thinkTime: 0,
+        totalLength: 0
+    };
+}
+
+function runTournament(opts, onGame = () => {}) {
+    const rules = new OmokRules(opts.size, opts.rule);
+    const random = createRandom(opts.seed);
+    const stats = {};
+    const games = [];
+
+    for (const spec of opts.engines) stats[spec.label] = emptyStats(spec);
+
+    for (let i = 0; i < opts.engines.length; i++) {
+        for (let j = i + 1; j < opts.engines.length; j++) {
+            for (let g = 0; g < opts.games; g++) {
+                // 흑백 교대
+                let [blackSpec, whiteSpec] = g % 2 === 0
+                    ? [opts.engines[i], opts.engines[j]]
+                    : [opts.engines[j], opts.engines[i]];
+                const create = spec => OmokEngines.create(spec.id, opts.size, {
+                    ruleSet: opts.rule, timeLimit: opts.time, ...spec.options
+                });
+                let black = create(blackSpec), white = create(whiteSpec);
+                let opening = randomOpening(rules, opts.randomMoves, random);
+                if (opts.opening !== "none") {
+                    const result = playOpening({ 1: black, 2: white }, opts.opening, rules, random);
+                    opening = result.moves;
+                    if (result.swaps % 2 === 1) {
+                        [blackSpec, whiteSpec] = [whiteSpec, blackSpec];
+                        [black, white] = [white, black];
+                    }
+                }
+
+                const result = playGame(black, white, {
+                    rules, timeLimit: opts.time, grace: opts.grace, maxMoves: opts.maxMoves, opening
+                });
+                const game = { black: blackSpec.label, white: whiteSpec.label, ...result };
+                games.push(game);
+                recordGame(stats, game);
+                onGame(game, games.length);
+            }
+        }
+    }
+
+    return { options: opts, engines: Object.values(stats).map(summarize), games };
+}
+
+function recordGame(stats, game) {
+    for (const [color, id] of [["black", game.black], ["white", game.white]]) {
+        const s = stats[id];
+        const player = color === "black" ? 1 : 2;
+        s.games++;
+        if (game.winner === 0) s[color].draws++;
+        else if (game.winner === player) s[color].wins++;
+        else s[color].losses++;
+
+        const own = game.moves.filter(m => m.player === player && !m.opening);
+        s.moves += own.length;
+        s.thinkTime += own.reduce((sum, m) => sum + m.time, 0);
+        s.totalLength += game.moves.length;
+    }
+}
+
+function summarize(s) {
+    return {
+        engine: s.engine,
+        name: s.name,
+        games: s.games,
+        black: s.black,
+        white: s.white,
+        wins: s.black.wins + s.white.wins,
+        losses: s.black.losses + s.white.losses,
+        draws: s.black.draws + s.white.draws,
+        avgMoveTime: s.moves ? Math.round(s.thinkTime / s.moves) : 0,
+        avgGameLength: s.games ? +(s.totalLength / s.games).toFixed(1) : 0
+    };
+}
+
+function formatTable(report) {
+    const header = ["Engine", "Games", "W-L-D", "Black W-L-D", "White W-L-D", "Avg ms/move", "Avg length"];
+    const rows = report.engines.map(e => [
+        `${e.engine} (${e.name})`,
+        String(e.games),
+        `${e.wins}-${e.losses}-${e.draws}`,
+        `${e.black.wins}-${e.black.losses}-${e.black.draws}`,
+        `${e.white.wins}-${e.white.losses}-${e.white.draws}`,
+        String(e.avgMoveTime),
+        String(e.avgGameLength)
+    ]);
+    const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+    const line = cells => cells.map((c, i) => i === 0 ? c.padEnd(widths[i]) : c.padStart(widths[i])).join("  ");
+    return [line(header), widths.map(w => "-".repeat(w)).join("  "), ...rows.map(line)].join("\n");
+}
+
+// 등록된 엔진과 옵션 스키마
+function formatEngineList() {
+    const lines = [];
+    for (const engine of OmokEngines.list()) {
+        lines.push(`${engine.id}  ${engine.name} ${engine.version}`);
+        const defaults = OmokEngines.defaults(engine.id);
+        for (const [key, option] of Object.entries(engine.options)) {
+            const range = option.type === "choice"
+                ? option.choices.map(c => c.value).join("|")
+                : option.type === "boolean" ? "true|false" : `${option.min ?? ""}..${option.max ?? ""}`;
+            lines.push(`    ${key.padEnd(18)} ${String(defaults[key]).padStart(8)}  ${range.padEnd(14)} ${option.label || ""}`);
+        }
+    }
+    return lines.join("\n");
+}
+
+function main() {
+    let opts;
+    try {
+        opts = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+    if (opts.help) {
+        const usage = fs.readFileSync(__filename, "utf8").split("\n")
+            .filter(line => line.startsWith("//")).map(line => line.replace(/^\/\/ ?/, ""));
+        console.log(usage.join("\n"));
+        return;
+    }
+    if (opts.list) {
+        console.log(formatEngineList());
+        return;
+    }
+
+    const ratings = opts.ratings ? new OmokRatings(OmokRatings.fileStorage(opts.ratings)) : null;
+
+    const report = runTournament(opts, (game, n) => {
+        if (ratings) ratings.addGame({ black: game.black, white: game.white, winner: game.winner });
+        if (opts.quiet) return;
+        const result = game.winner === 0 ? "draw" : `${game.winner === 1 ? "black" : "white"} wins`;
+        console.error(`#${n} ${game.black} (B) vs ${game.white} (W): ${result} by ${game.reason} in ${game.moves.length} moves`);
+    });
+
+    if (opts.json === "-") {
+        console.log(JSON.stringify(report, null, 2));
+        return;
+    }
+    console.log(formatTable(report));
+    if (opts.json) {
+        fs.writeFileSync(opts.json, JSON.stringify(report, null, 2));
+        console.log(`\nJSON report written to ${opts.json}`);
+    }
+    if (ratings) {
+        console.log(`\nRatings (${ratings.games.length} games in ${opts.ratings})`);
+        console.log(ratings.formatTable());
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { parseArgs, parseEngineSpec, playOpening, playGame, runTournament, formatTable, formatEngineList };
\ No newline at end of file
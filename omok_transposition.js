@@ -0,0 +1,133 @@
+// 치환표 (Transposition Table) - 두 엔진이 함께 쓰는 크기 고정 탐색 결과 저장소
+//
+// 키: OmokBoard의 64비트 Zobrist 키(keyHi, keyLo)에 탐색 관점(variant)을 섞은 값
+//     variant는 같은 국면이라도 점수 기준이 다른 탐색(AI 색, 둘 차례)을 구분한다 (0 ~ 7)
+// 항목: { hi, lo, depth, flag, value, move, pv, generation }
+//   flag  EXACT - 창 안의 정확한 값
+//         LOWER - beta 컷: 실제 값 >= value
+//         UPPER - alpha 이하: 실제 값 <= value
+//   move  그 국면의 최선수 { x, y } - 다음 탐색에서 가장 먼저 읽는다
+//
+// 자리 하나에 항목 하나 (키 하위 비트로 위치 결정). 같은 자리를 두고 다투면
+// 이전 탐색(generation)의 항목이나 더 얕은 항목을 밀어낸다.
+//
+// symmetric: 판의 표준형 키(OmokBoard.canonicalKey)를 써서 회전하거나 뒤집은 같은 국면이 항목을 함께 씀
+//            move와 pv는 표준형 방향으로 저장하고 probe가 지금 판의 방향으로 되돌려 준다
+
+// Node에서는 <script> 태그 대신 require로 대칭 모듈을 불러온다
+if (typeof module !== 'undefined' && module.exports && typeof OmokSymmetry === 'undefined') {
+    globalThis.OmokSymmetry = require('./omok_symmetry.js');
+}
+
+class OmokTranspositionTable {
+    static EXACT = 0;
+    static LOWER = 1;
+    static UPPER = 2;
+    static DEFAULT_BITS = 17; // 131072 항목
+
+    // variant별로 키에 섞는 고정 난수
+    static VARIANTS = [
+        [0, 0], [0x5bd1e995, 0x1b873593], [0x68e31da4, 0x7feb352d], [0x2c1b3c6d, 0x297a2d39],
+        [0x3c6ef372, 0x0e6546b6], [0x7f4a7c15, 0x165667b1], [0x27d4eb2f, 0x61c88647], [0x4cf5ad43, 0x2545f491]
+    ];
+
+    constructor(bits = OmokTranspositionTable.DEFAULT_BITS, symmetric = false) {
+        this.symmetric = symmetric;
+        this.capacity = 1 << bits;
+        this.mask = this.capacity - 1;
+        this.entries = new Array(this.capacity).fill(null);
+        this.generation = 0;
+        this.count = 0; // 채워진 자리 수
+        this.stats = { probes: 0, hits: 0, stores: 0, replaced: 0 };
+    }
+
+    // 새 탐색 시작 - 이전 탐색의 항목은 우선 교체 대상이 된다
+    newSearch() {
+        this.generation++;
+    }
+
+    clear() {
+        this.entries.fill(null);
+        this.count = 0;
+        this.generation = 0;
+    }
+
+    // [hi, lo, transform] - transform: 항목의 수를 저장한 방향으로 옮기는 대칭 (대칭을 쓰지 않으면 0)
+    key(position, variant) {
+        const [hi, lo] = OmokTranspositionTable.VARIANTS[variant];
+        if (!this.symmetric) return [position.keyHi ^ hi, position.keyLo ^ lo, 0];
+        const canonical = position.canonicalKey();
+        return [canonical.hi ^ hi, canonical.lo ^ lo, canonical.transform];
+    }
+
+    // 같은 키의 항목 (없으면 null) - 다른 방향으로 저장된 항목은 move, pv를 지금 판의 방향으로 옮긴 복사본
+    probe(position, variant = 0) {
+        const [hi, lo, transform] = this.key(position, variant);
+        const entry = this.entries[lo & this.mask];
+        this.stats.probes++;
+        if (entry && entry.hi === hi && entry.lo === lo) {
+            this.stats.hits++;
+            if (transform === 0) return entry;
+            return {
+                ...entry,
+                move: OmokSymmetry.fromCanonical(entry.move, transform, position.size),
+                pv: OmokSymmetry.fromCanonical(entry.pv, transform, position.size)
+            };
+        }
+        return null;
+    }
+
+    // 깊이와 탐색 창(alpha, beta)으로 보아 항목 값을 그대로 써도 되는지
+    static usable(entry, depth, alpha, beta) {
+        if (!entry || entry.depth < depth) return false;
+        if (entry.flag === OmokTranspositionTable.EXACT) return true;
+        if (entry.flag === OmokTranspositionTable.LOWER) return entry.value >= beta;
+        return entry.value <= alpha;
+    }
+
+    // 탐색 결과의 경계 종류 - alpha, beta는 그 노드를 탐색하기 시작할 때의 창
+    static flagFor(value, alpha, beta) {
+        if (value <= alpha) return OmokTranspositionTable.UPPER;
+        if (value >= beta) return OmokTranspositionTable.LOWER;
+        return OmokTranspositionTable.EXACT;
+    }
+
+    // 저장된 최선수를 후보 목록([[x, y], ...])의 맨 앞으로
+    static promote(moves, move) {
+        if (!move) return moves;
+        const index = moves.findIndex(([x, y]) => x === move.x && y === move.y);
+        if (index > 0) moves.unshift(...moves.splice(index, 1));
+        return moves;
+    }
+
+    store(position, variant, { depth, flag, value, move = null, pv = [] }) {
+        const [hi, lo, transform] = this.key(position, variant);
+        move = OmokSymmetry.toCanonical(move, transform, position.size);
+        pv = OmokSymmetry.toCanonical(pv, transform, position.size);
+        const index = lo & this.mask;
+        const old = this.entries[index];
+        this.stats.stores++;
+
+        if (old && old.hi === hi && old.lo === lo) {
+            // 같은 국면: 더 깊은 결과는 얕은 결과로 덮지 않고 이번 탐색 항목으로 갱신만 함
+            if (old.depth > depth) {
+                old.generation = this.generation;
+                if (!old.move && move) old.move = move;
+                return;
+            }
+        } else if (old) {
+            // 다른 국면이 차지한 자리: 이번 탐색에서 더 깊게 읽은 항목이면 지킨다
+            if (old.generation === this.generation && old.depth > depth) return;
+            this.stats.replaced++;
+        } else {
+            this.count++;
+        }
+
+        this.entries[index] = { hi, lo, depth, flag, value, move, pv, generation: this.generation };
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OmokTranspositionTable;
+}
@@ -0,0 +1,110 @@
+// 치환표 테스트 - 경계(EXACT/LOWER/UPPER), 최선수, 세대 교체 - 실행: node --test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const OmokTranspositionTable = require('./omok_transposition.js');
+const OmokSymmetry = require('./omok_symmetry.js');
+const OmokBoard = require('./omok_board.js');
+
+const { EXACT, LOWER, UPPER } = OmokTranspositionTable;
+
+// 키만 있는 국면 - 대칭을 쓰지 않는 표는 keyHi, keyLo만 읽음
+const position = (keyHi, keyLo) => ({ keyHi, keyLo, size: 15 });
+
+test("usable - 얕은 항목은 쓰지 않고, 경계는 창 밖일 때만 값으로 씀", () => {
+    const entry = (flag, value, depth = 4) => ({ flag, value, depth });
+    assert.equal(OmokTranspositionTable.usable(null, 1, -100, 100), false);
+    assert.equal(OmokTranspositionTable.usable(entry(EXACT, 50, 3), 4, -100, 100), false);
+    assert.equal(OmokTranspositionTable.usable(entry(EXACT, 50), 4, -100, 100), true);
+
+    // LOWER: 실제 값 >= value - beta 이상일 때만 컷
+    assert.equal(OmokTranspositionTable.usable(entry(LOWER, 100), 2, -100, 100), true);
+    assert.equal(OmokTranspositionTable.usable(entry(LOWER, 99), 2, -100, 100), false);
+    // UPPER: 실제 값 <= value - alpha 이하일 때만
+    assert.equal(OmokTranspositionTable.usable(entry(UPPER, -100), 2, -100, 100), true);
+    assert.equal(OmokTranspositionTable.usable(entry(UPPER, -99), 2, -100, 100), false);
+});
+
+test("flagFor - 탐색을 시작할 때의 창으로 경계 종류를 정함", () => {
+    assert.equal(OmokTranspositionTable.flagFor(-100, -100, 100), UPPER);
+    assert.equal(OmokTranspositionTable.flagFor(100, -100, 100), LOWER);
+    assert.equal(OmokTranspositionTable.flagFor(0, -100, 100), EXACT);
+    assert.equal(OmokTranspositionTable.flagFor(5, -Infinity, Infinity), EXACT);
+});
+
+test("store/probe - 최선수와 수순을 돌려주고 variant가 다르면 다른 항목", () => {
+    const table = new OmokTranspositionTable(4);
+    const p = position(0x1234, 0x5678);
+    table.store(p, 1, { depth: 3, flag: LOWER, value: 70, move: { x: 4, y: 5 }, pv: [{ x: 4, y: 5, player: 1 }] });
+
+    const entry = table.probe(p, 1);
+    assert.deepEqual([entry.depth, entry.flag, entry.value], [3, LOWER, 70]);
+    assert.deepEqual(entry.move, { x: 4, y: 5 });
+    assert.deepEqual(entry.pv, [{ x: 4, y: 5, player: 1 }]);
+    assert.equal(table.probe(p, 0), null);
+    assert.equal(table.probe(position(0x1234, 0x5679), 1), null);
+});
+
+test("promote - 저장된 최선수를 후보의 맨 앞으로", () => {
+    assert.deepEqual(OmokTranspositionTable.promote([[1, 1], [2, 2], [3, 3]], { x: 3, y: 3 }), [[3, 3], [1, 1], [2, 2]]);
+    assert.deepEqual(OmokTranspositionTable.promote([[1, 1], [2, 2]], { x: 9, y: 9 }), [[1, 1], [2, 2]]);
+    assert.deepEqual(OmokTranspositionTable.promote([[1, 1], [2, 2]], null), [[1, 1], [2, 2]]);
+});
+
+test("같은 국면 - 얕은 결과는 깊은 항목을 덮지 않고 없던 최선수만 채움", () => {
+    const table = new OmokTranspositionTable(4);
+    const p = position(1, 2);
+    table.store(p, 0, { depth: 6, flag: EXACT, value: 10 });
+    table.newSearch();
+    table.store(p, 0, { depth: 2, flag: UPPER, value: -50, move: { x: 7, y: 7 } });
+
+    const entry = table.probe(p, 0);
+    assert.deepEqual([entry.depth, entry.flag, entry.value], [6, EXACT, 10]);
+    assert.deepEqual(entry.move, { x: 7, y: 7 });
+    assert.equal(entry.generation, table.generation, "이번 탐색 항목으로 갱신");
+
+    table.store(p, 0, { depth: 6, flag: LOWER, value: 30 });
+    assert.deepEqual([table.probe(p, 0).flag, table.probe(p, 0).value], [LOWER, 30], "같은 깊이는 새 결과로");
+});
+
+test("표가 차면 - 이번 탐색의 더 깊은 항목은 지키고, 이전 탐색이나 얕은 항목은 밀어냄", () => {
+    const table = new OmokTranspositionTable(2); // 자리 4개
+    const deep = position(1, 0x10); // 하위 2비트가 같은 두 국면
+    const other = position(2, 0x20);
+
+    table.store(deep, 0, { depth: 5, flag: EXACT, value: 1 });
+    table.store(other, 0, { depth: 2, flag: EXACT, value: 2 });
+    assert.equal(table.probe(other, 0), null, "이번 탐색의 더 깊은 항목이 남음");
+    assert.equal(table.probe(deep, 0).value, 1);
+
+    table.newSearch();
+    table.store(other, 0, { depth: 2, flag: EXACT, value: 2 });
+    assert.equal(table.probe(deep, 0), null, "이전 탐색 항목은 얕은 항목에도 밀려남");
+    assert.equal(table.probe(other, 0).value, 2);
+
+    table.store(deep, 0, { depth: 3, flag: EXACT, value: 3 });
+    assert.equal(table.probe(deep, 0).value, 3, "이번 탐색 안에서는 더 깊은 항목이 밀어냄");
+    assert.equal(table.count, 1);
+    assert.equal(table.stats.replaced, 2);
+
+    table.clear();
+    assert.deepEqual([table.count, table.generation, table.probe(deep, 0)], [0, 0, null]);
+});
+
+test("대칭 표 - 회전한 국면이 항목을 함께 쓰고 최선수는 지금 판의 방향으로", () => {
+    const evaluator = { evaluateStone: () => 0 };
+    const board = Array.from({ length: 15 }, () => Array(15).fill(0));
+    board[7][7] = 1;
+    board[7][8] = 2;
+    board[9][8] = 1;
+    const table = new OmokTranspositionTable(8, true);
+    const move = { x: 10, y: 3 };
+    table.store(new OmokBoard(board, evaluator), 0, { depth: 2, flag: EXACT, value: 5, move, pv: [{ ...move, player: 2 }] });
+
+    for (let t = 1; t < 8; t++) {
+        const entry = table.probe(new OmokBoard(OmokSymmetry.transformBoard(board, t), evaluator), 0);
+        const expected = OmokSymmetry.apply(t, move, 15);
+        assert.equal(entry.value, 5);
+        assert.deepEqual(entry.move, expected);
+        assert.deepEqual(entry.pv, [{ ...expected, player: 2 }]);
+    }
+});
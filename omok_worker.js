@@ -0,0 +1,142 @@
+// 오목 AI 워커 - 엔진 탐색을 메인 스레드 밖에서 실행
+//
+// 메시지 프로토콜
+//   UI → 워커: { type: "configure", boardSize, ruleSet, engineOptions }   (engineOptions: { 엔진: 옵션 }, 예: { mcts: { playouts: 10000 } })
+//              { type: "move", id, engine, board, player, clock }           (clock: 둘 차례의 대국 시계, 시간 제한이 없으면 null)
+//              { type: "analyze", id, engine, board, player, topN }
+//              { type: "opening", id, engine, opening }                    (opening: OmokOpening.toJSON() - 오프닝 규칙의 지금 요청)
+//              { type: "draw", id, engine, board, player }                 (player가 무승부 제안을 받을지)
+//              { type: "review", id, moves }
+//              { type: "solve", id, board, player }
+//              { type: "newGame" }                                    (엔진마다 이전 대국의 탐색 기록을 비움)
+//              { type: "book", book }                                 (오프닝 북 데이터 OmokBook.toJSON(), null이면 북 없음)
+//              { type: "stopFlag", flag }                             (Int32Array(SharedArrayBuffer) - 0이 아니면 진행 중인 탐색을 지금까지의 최선수로 끝냄)
+//              { type: "cancel", id }
+//   워커 → UI: { type: "progress", id, info }
+//              { type: "result", id, move, thinkTime }          (move 요청)
+//              { type: "result", id, analysis, thinkTime }      (analyze 요청)
+//              { type: "result", id, decision, thinkTime }      (opening 요청 - 요청에 대한 답)
+//              { type: "result", id, accepted, thinkTime }      (draw 요청)
+//              { type: "result", id, review, thinkTime }        (review 요청 - 대국 복기)
+//              { type: "result", id, solution, thinkTime }      (solve 요청 - 증명수 탐색 풀이)
+//              { type: "error", id, message }
+//
+// 탐색은 동기 코드라 실행 중에는 cancel 메시지를 받을 수 없다.
+// 진행 중인 탐색의 취소는 OmokAIClient가 워커를 종료하고 새로 띄우는 방식으로 처리하고,
+// 여기서는 아직 시작하지 않은 요청만 건너뛴다.
+// 지금 두기는 UI와 함께 보는 stopFlag를 엔진이 시간 제한을 확인하는 자리마다(stopCheck) 확인해 탐색을 끝낸다.
+
+importScripts("omok_rules.js", "omok_symmetry.js", "omok_board.js", "omok_transposition.js", "omok_book.js", "omok_opening.js", "omok_clock.js", "omok_2025.js", "omok_counter.js", "omok_mcts.js", "omok_engines.js", "omok_record.js", "omok_review.js", "omok_solver.js");
+
+let config = { boardSize: 15, ruleSet: "renju", engineOptions: {} };
+let engines = {}; // 엔진 id → 인스턴스 (처음 요청할 때 레지스트리에서 생성)
+let openingBook = null; // OmokBook - 모든 엔진이 함께 씀 (쓸지는 엔진의 book 옵션)
+let stopFlag = null; // 지금 두기 플래그 (OmokAIClient와 함께 쓰는 Int32Array)
+const cancelled = new Set();
+
+function getEngine(id) {
+    if (!engines[id]) {
+        const { boardSize, ruleSet, engineOptions } = config;
+        engines[id] = OmokEngines.create(id, boardSize, { ruleSet, openingBook, ...engineOptions[id] });
+    }
+    return engines[id];
+}
+
+function handleRequest({ type, id, engine, board, player, topN, opening, clock = null }) {
+    if (cancelled.delete(id)) return;
+
+    let ai;
+    try {
+        ai = getEngine(engine);
+    } catch (err) {
+        self.postMessage({ type: "error", id, message: err.message });
+        return;
+    }
+
+    ai.onProgress = info => self.postMessage({ type: "progress", id, info });
+    ai.stopCheck = stopFlag && (() => Atomics.load(stopFlag, 0) !== 0);
+    const startTime = Date.now();
+    try {
+        if (type === "analyze") {
+            const analysis = ai.analyze(board, player, topN);
+            self.postMessage({ type: "result", id, analysis, thinkTime: Date.now() - startTime });
+        } else if (type === "opening") {
+            const decision = ai.openingMove(OmokOpening.fromJSON(opening));
+            self.postMessage({ type: "result", id, decision, thinkTime: Date.now() - startTime });
+        } else if (type === "draw") {
+            const accepted = ai.acceptsDraw(board, player);
+            self.postMessage({ type: "result", id, accepted, thinkTime: Date.now() - startTime });
+        } else {
+            const move = ai.getMove(board, player, clock);
+            self.postMessage({ type: "result", id, move, thinkTime: Date.now() - startTime });
+        }
+    } catch (err) {
+        self.postMessage({ type: "error", id, message: err.message });
+    } finally {
+        ai.onProgress = null;
+        ai.stopCheck = null;
+    }
+}
+
+function handleReview({ id, moves }) {
+    if (cancelled.delete(id)) return;
+
+    const reviewer = new OmokReviewer(config.boardSize, { ruleSet: config.ruleSet });
+    reviewer.onProgress = info => self.postMessage({ type: "progress", id, info });
+    const startTime = Date.now();
+    try {
+        const review = reviewer.reviewGame(moves);
+        self.postMessage({ type: "result", id, review, thinkTime: Date.now() - startTime });
+    } catch (err) {
+        self.postMessage({ type: "error", id, message: err.message });
+    }
+}
+
+function handleSolve({ id, board, player }) {
+    if (cancelled.delete(id)) return;
+
+    const solver = new OmokSolver(config.boardSize, { ruleSet: config.ruleSet });
+    solver.onProgress = info => self.postMessage({ type: "progress", id, info });
+    const startTime = Date.now();
+    try {
+        const solution = solver.solve(board, player);
+        self.postMessage({ type: "result", id, solution, thinkTime: Date.now() - startTime });
+    } catch (err) {
+        self.postMessage({ type: "error", id, message: err.message });
+    }
+}
+
+self.onmessage = (e) => {
+    const msg = e.data;
+    switch (msg.type) {
+        case "configure":
+            config = { boardSize: msg.boardSize, ruleSet: msg.ruleSet, engineOptions: msg.engineOptions || {} };
+            engines = {};
+            break;
+        case "newGame":
+            for (const ai of Object.values(engines)) ai.newGame();
+            break;
+        case "book":
+            openingBook = msg.book ? OmokBook.fromJSON(msg.book) : null;
+            for (const ai of Object.values(engines)) ai.openingBook = openingBook;
+            break;
+        case "move":
+        case "analyze":
+        case "opening":
+        case "draw":
+            handleRequest(msg);
+            break;
+        case "review":
+            handleReview(msg);
+            break;
+        case "solve":
+            handleSolve(msg);
+            break;
+        case "stopFlag":
+            stopFlag = msg.flag;
+            break;
+        case "cancel":
+            cancelled.add(msg.id);
+            break;
+    }
+};
\ No newline at end of file